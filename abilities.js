@@ -0,0 +1,146 @@
+/**
+ * abilities.js
+ *
+ * This module holds the active hero abilities used by the BattleEngine. Unlike the
+ * passive stats, an ability is triggered on purpose with its own key; it takes the
+ * hero's action and then needs a number of the hero's turns to recharge
+ * (`hero.abilityCooldown`, counted down at the start of each of its turns and reset at
+ * the start of every battle).
+ *
+ * Heroes pick an ability in heroes.js, by name or with overrides of the definition:
+ *   ability: "volley"
+ *   ability: { type: "volley", cooldown: 2 }
+ *
+ * Each definition declares:
+ * - label:       Name shown in the battle UI and the log.
+ * - description: What the ability does.
+ * - cooldown:    Hero turns before the ability can be used again.
+ * - targeting:   'self'      takes effect at once,
+ *                'direction' waits for a direction like an attack (see aimAbility).
+ * - findTargets(engine, hero, aim): The units the ability would affect; `aim` is
+ *   `{ dx, dy }` for 'direction' abilities and null otherwise. With no targets the
+ *   ability is refused and the hero keeps its action.
+ * - use(engine, hero, targets, aim): Carries the ability out through the engine
+ *   (dealDamage, applyStatus, healUnit, ...).
+ *
+ * Functions:
+ * - getAbilityDefinition(type): Returns the definition of a registered ability.
+ * - getHeroAbility(hero): The hero's ability with its overrides, or null.
+ * - describeAbility(hero): Short text of a hero's ability for the UI.
+ * - validateHeroAbilities(heroes): Problems with the abilities heroes pick (checked by heroes.js).
+ */
+
+import { applyKnockback } from './applyKnockback.js';
+
+// Enemies on the line from a hero, up to `range` cells; terrain stops the line.
+function enemiesInLine(engine, hero, { dx, dy }, range) {
+  const enemies = [];
+  for (let i = 1; i <= range; i++) {
+    const x = hero.x + dx * i, y = hero.y + dy * i;
+    if (!engine.isWithinBounds(x, y) || engine.battlefield.getTerrain(x, y)) break;
+    const enemy = engine.getEnemyAt(x, y);
+    if (enemy) enemies.push(enemy);
+  }
+  return enemies;
+}
+
+// Live heroes within `radius` cells of a hero (diagonals count as one), the hero included.
+function heroesAround(engine, hero, radius) {
+  return engine.getLiveHeroes().filter(other =>
+    Math.max(Math.abs(other.x - hero.x), Math.abs(other.y - hero.y)) <= radius);
+}
+
+export const ABILITIES = {
+  volley: {
+    label: 'Volley',
+    description: 'Shoots every enemy in a line within range.',
+    cooldown: 3,
+    targeting: 'direction',
+    findTargets: (engine, hero, aim) => enemiesInLine(engine, hero, aim, hero.range),
+    use: (engine, hero, targets) => {
+      targets.forEach(enemy => engine.dealDamage(enemy, hero.attack, { source: hero, kind: 'ability' }));
+    }
+  },
+  brace: {
+    label: 'Brace',
+    description: 'Raises a shield that blocks 3 damage plus 1 per armor point.',
+    cooldown: 4,
+    targeting: 'self',
+    findTargets: (engine, hero) => [hero],
+    use: (engine, hero) => {
+      engine.applyStatus(hero, 'shield', { potency: 3 + (hero.armor || 0) }, hero);
+    }
+  },
+  shove: {
+    label: 'Shove',
+    description: 'Knocks back every enemy in a line up to one cell past range.',
+    cooldown: 3,
+    targeting: 'direction',
+    findTargets: (engine, hero, aim) => enemiesInLine(engine, hero, aim, hero.range + 1),
+    use: (engine, hero, targets, { dx, dy }) => {
+      // The farthest enemy goes first so the ones behind it have room to slide.
+      [...targets].reverse().forEach(enemy => {
+        if (!engine.isEnemy(enemy)) return;
+        applyKnockback(enemy, dx, dy, (hero.yeet || 0) + 1, hero.attack, engine.battlefield,
+          engine.emit.bind(engine), engine.dealDamage.bind(engine), hero);
+      });
+    }
+  },
+  blessing: {
+    label: 'Blessing',
+    description: 'Heals the hero and every hero within 2 cells by the heal stat.',
+    cooldown: 4,
+    targeting: 'self',
+    findTargets: (engine, hero) => (hero.heal > 0 ? heroesAround(engine, hero, 2) : []),
+    use: (engine, hero, targets) => {
+      targets.forEach(target => engine.healUnit(hero, target, hero.heal));
+    }
+  }
+};
+
+/**
+ * Returns the definition of a registered ability.
+ *
+ * @param {string} type - The ability name (a key of ABILITIES).
+ * @returns {Object|null} The definition, or null for unknown names.
+ */
+export function getAbilityDefinition(type) {
+  return ABILITIES[type] || null;
+}
+
+/**
+ * Returns a hero's ability: the registered definition with the hero's overrides.
+ *
+ * @param {Object} hero - The hero.
+ * @returns {Object|null} The ability (with its `type`), or null for heroes without one.
+ */
+export function getHeroAbility(hero) {
+  const declared = hero && hero.ability;
+  if (!declared) return null;
+  const { type, ...overrides } = typeof declared === 'string' ? { type: declared } : declared;
+  const definition = getAbilityDefinition(type);
+  return definition ? { type, ...definition, ...overrides } : null;
+}
+
+/**
+ * Describes a hero's ability for the UI, e.g. "Volley (cooldown 3): Shoots ...".
+ *
+ * @param {Object} hero - The hero.
+ * @returns {string} The description, or an empty string for heroes without an ability.
+ */
+export function describeAbility(hero) {
+  const ability = getHeroAbility(hero);
+  return ability ? `${ability.label} (cooldown ${ability.cooldown}): ${ability.description}` : '';
+}
+
+/**
+ * Checks that heroes only pick registered abilities.
+ *
+ * @param {Object[]} heroes - The hero definitions.
+ * @returns {string[]} The problems found; empty when every ability is known.
+ */
+export function validateHeroAbilities(heroes) {
+  return heroes
+    .filter(hero => hero.ability && !getHeroAbility(hero))
+    .map(hero => `${hero.name}: unknown ability "${hero.ability.type || hero.ability}".`);
+}
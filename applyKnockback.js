@@ -7,39 +7,35 @@
 
 /**
  * Applies knockback (yeet) to an enemy.
+ * The enemy slides cell by cell; the field edge and any terrain (the level wall or a
+ * layout obstacle) stop it and deal damage, while another unit simply stops it.
+ * Collision damage goes through the engine's damage resolver, so a knocked-back enemy
+ * that is defeated is taken off the field and the rest of the slide is skipped.
  * @param {Object} enemy - The enemy to apply knockback to.
  * @param {number} dx - The x-direction of the knockback.
  * @param {number} dy - The y-direction of the knockback.
  * @param {number} yeet - The knockback distance.
  * @param {number} attack - The attack power of the hero applying the knockback.
- * @param {Array} battlefield - The battlefield grid.
- * @param {Function} logCallback - The callback function for logging messages.
- * @param {Function} isWithinBounds - The function to check if a position is within bounds.
+ * @param {Battlefield} battlefield - The battlefield occupancy model (see battlefield.js).
+ * @param {Function} emit - The engine's event emitter (`emit(type, payload)`).
+ * @param {Function} dealDamage - The engine's damage resolver (`dealDamage(target, amount, options)`).
+ * @param {Object} [source] - The hero applying the knockback.
  */
-export function applyKnockback(enemy, dx, dy, yeet, attack, battlefield, logCallback, isWithinBounds) {
-  // Store the enemy's original position for relative movement.
-  const originalX = enemy.x;
-  const originalY = enemy.y;
+export function applyKnockback(enemy, dx, dy, yeet, attack, battlefield, emit, dealDamage, source = null) {
   for (let i = 1; i <= yeet; i++) {
-    const newX = originalX + dx * i;
-    const newY = originalY + dy * i;
-    if (!isWithinBounds(newX, newY)) {
-      logCallback(`${enemy.name} is knocked back into the wall and takes ${attack} damage!`);
-      enemy.hp -= attack;
+    const newX = enemy.x + dx;
+    const newY = enemy.y + dy;
+    if (!battlefield.isWithinBounds(newX, newY)) {
+      dealDamage(enemy, attack, { source, kind: 'knockback', collision: 'edge' });
       break;
     }
-    if (battlefield[newY][newX] === 'ᚙ' || battlefield[newY][newX] === '█') {
-      logCallback(`${enemy.name} collides with the wall during knockback and takes ${attack} damage!`);
-      enemy.hp -= attack;
+    if (battlefield.getTerrain(newX, newY)) {
+      dealDamage(enemy, attack, { source, kind: 'knockback', collision: 'wall' });
       break;
     }
-    if (battlefield[newY][newX] === '.') {
-      // Clear the enemy's previous position.
-      battlefield[enemy.y][enemy.x] = '.';
-      // Update enemy's position.
-      enemy.x = newX;
-      enemy.y = newY;
-      battlefield[newY][newX] = enemy.symbol;
-    }
+    if (battlefield.getUnitAt(newX, newY)) break;
+    const from = { x: enemy.x, y: enemy.y };
+    battlefield.moveUnit(enemy, newX, newY);
+    emit('unitMoved', { unit: enemy, from, to: { x: newX, y: newY }, cause: 'knockback' });
   }
 }
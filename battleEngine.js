@@ -1,18 +1,96 @@
 /**
  * battleEngine.js
- * 
+ *
  * This file implements the battle engine for PIOSI. It includes:
  * - Unit movement and attack logic (including knockback, chain, and swarm abilities).
- * - Healing item (vittle) and mushroom pickup.
+ * - Items from the catalog in items.js: heroes pick them up into their inventory by
+ *   stepping on them and use them on their turn (`useItem`, `throwItem`). Keys open
+ *   locked doors (`{ type: "door" }` layout cells). Using equipment puts it into the
+ *   hero's weapon, armor or trinket slot (equipment.js).
+ * - Besides attacking along the arrows, a hero can aim a free-target cursor at any cell in
+ *   range, diagonals included (`beginTargeting`, `moveCursor`, `confirmTarget`); heroes
+ *   with an area shape in heroes.js (targeting.js) hit a blast, cone or piercing line.
+ * - Heroes may have an active ability (abilities.js) with its own key and a cooldown
+ *   (`useAbility`, `aimAbility`); abilities are declared in heroes.js and carried out
+ *   through the engine's own methods, so new ones need no engine changes.
+ * - Heroes earn experience (experience.js) for damage, kills, heals and wall hits, and level
+ *   up on their own along the stat curves in heroCurves.js.
+ * - Defeated enemies drop loot (loot.js): coins go to the party purse (`options.purse`,
+ *   kept by the host between levels) and items land on the enemy's cell.
  * - Hero death handling that triggers persistent death effects with the "rise" stat.
  *   If a hero has points in the rise stat when they die, they are resurrected on the next
  *   level with HP equal to the rise value, the rise stat is reset to zero, and they still
  *   trigger ankh boosts to all live heroes.
  * - The ankh stat boost now enhances one of attack, hp, agility, or range.
+ * - Every random roll goes through the seeded generator passed in as `options.rng`
+ *   (see rng.js), so the same seed and the same inputs replay the same battle.
+ * - The engine is headless: it never touches the DOM or timers. It reports what happens
+ *   as typed events (see battleEvents.js for the list) that hosts subscribe to with
+ *   `on(type, handler)`, and it hands every delay to the host through `options.schedule`.
+ *   Without a scheduler everything runs synchronously, so battles can be driven from Node.
+ * - Level layouts (`options.levelSettings.layout`, see levels.js) shape the field: each
+ *   `{ type: "wall", hp }` cell becomes a destructible obstacle ('▒') with its own HP,
+ *   and heroes, enemies and items are only placed on open cells.
+ * - Heroes start on the level's deployment cells (`deployment` in levels.js, or the first
+ *   free cells from the top-left). With `options.deploy` the battle opens with a
+ *   deployment phase in which the player picks each hero's cell; skipping it keeps the
+ *   automatic placement.
+ * - `this.battlefield` is a Battlefield (see battlefield.js) with separate terrain, unit
+ *   and item layers. Units and items are identified by entity ids, never by their glyphs;
+ *   the glyph grid is only produced when drawing.
+ * - All damage against units goes through `dealDamage`, which uses the resolver in
+ *   damage.js (dodge, armor, resistances), runs the on-hit / on-death hooks registered
+ *   with `addDamageHook` and removes defeated units from the field.
+ * - Status effects (burn, slüj, poison, ghïs, stun, shield, slow, confusion, ...) come from the
+ *   registry in statusEffects.js and work the same on heroes and enemies: they are added
+ *   with `applyStatus` and tick at the start of the affected unit's turn.
+ * - Turns follow a single initiative timeline: each round, every live hero and enemy acts
+ *   once in agility order (see getInitiativeOrder). The order is worked out from current
+ *   agility whenever the next unit is picked, so agility changes mid-battle re-order
+ *   the rest of the round.
+ * - Wave levels (`waves` in levels.js) send a new enemy wave from the level's generator
+ *   each time the field is cleared, optionally after a rest phase of a few rounds. The
+ *   wall collapsing still ends the level, whichever wave is on the field.
+ * - The level wall is made of segments with their own HP. A destroyed segment opens a
+ *   breach; the wall collapses once the level's collapse rule is met (`wallCollapse`,
+ *   `breachWidth` in levels.js) and damaged segments may regenerate (`wallRegen`).
+ * - A level ends when its objectives are met (`objectives` in levels.js, see
+ *   objectives.js); without any, breaking the wall is the only objective. Escort
+ *   objectives add allied units (`this.allies`) that walk to their exit on their own turns.
+ * - Enemies move by A* pathfinding (pathfinding.js) towards goals chosen by their
+ *   behavior profile (`behavior` in levels.js, see enemyBehaviors.js).
+ * - Bosses (see bosses.js) change phase when their HP falls below the thresholds of
+ *   their `phases`: a phase may change their stats, behavior and dialogue, summon adds
+ *   and raise or clear obstacles.
  */
 
+import { Battlefield } from './battlefield.js';
 import { applyKnockback } from './applyKnockback.js';
-import { applySlujEffect } from './sluj.js';
+import { createRng } from './rng.js';
+import { describeEvent } from './battleEvents.js';
+import { resolveDamage } from './damage.js';
+import { getCoreStatKeys } from './stats.js';
+import { STATUS_EFFECTS, getStatusDefinition, getActiveStatuses, describeStatuses } from './statusEffects.js';
+import { findPath } from './pathfinding.js';
+import { getBehavior } from './enemyBehaviors.js';
+import { getObjectiveDefinition, getObjectiveCells } from './objectives.js';
+import { isBoss, getBossPhases } from './bosses.js';
+import { INVENTORY_SIZE, getItemDefinition, getItemEffect } from './items.js';
+import { rollLoot } from './loot.js';
+import { getEquipment, equipItem } from './equipment.js';
+import { addXp, getXpReward } from './experience.js';
+import { getLevelGains } from './heroCurves.js';
+import { getHeroAbility } from './abilities.js';
+import { getDistance, getLineCells, getHeroArea, getAreaCells } from './targeting.js';
+
+// Items placed at random on every field unless the level says otherwise.
+const DEFAULT_RANDOM_ITEMS = ['vittle', 'mushroom'];
+// Glyph of empty exit cells of reachExit and escort objectives.
+const EXIT_SYMBOL = '⚑';
+
+// Pause lengths (ms) the engine asks the host for.
+const ACTION_PAUSE = 300;
+const LEVEL_COMPLETE_PAUSE = 1500;
 
 // Class to represent a persistent death effect.
 export class PersistentDeath {
@@ -22,7 +100,24 @@ export class PersistentDeath {
 }
 
 export class BattleEngine {
-  constructor(party, enemies, fieldRows, fieldCols, wallHP, logCallback, onLevelComplete, onGameOver) {
+  /**
+   * @param {Array} party - The heroes in turn order.
+   * @param {Array} enemies - The enemies of the level.
+   * @param {number} fieldRows - Battlefield height.
+   * @param {number} fieldCols - Battlefield width.
+   * @param {number} wallHP - HP of each segment of the level wall.
+   * @param {function} [logCallback] - Receives the log line of every event that has one.
+   * @param {function} [onLevelComplete] - Called after the wall collapses.
+   * @param {function} [onGameOver] - Called when every hero has fallen.
+   * @param {Object} [options]
+   * @param {Object} [options.rng] - Seeded generator from rng.js.
+   * @param {function} [options.schedule] - `(callback, delayMs) => void`; runs callback immediately when omitted.
+   * @param {function} [options.onEvent] - Receives every event, including those emitted while the field is set up.
+   * @param {Object} [options.levelSettings] - The level object from getLevel(); its `layout` shapes the field.
+   * @param {Object} [options.purse] - The party purse, `{ coins }`; loot coins are added to it.
+   * @param {boolean} [options.deploy] - Start with a deployment phase instead of placing the heroes for good.
+   */
+  constructor(party, enemies, fieldRows, fieldCols, wallHP, logCallback, onLevelComplete, onGameOver, options = {}) {
     // Keep all heroes in the party array.
     // NOTE: Heroes with persistent death will no longer be referenced in the battlefield.
     this.party = party;
@@ -33,30 +128,369 @@ export class BattleEngine {
     this.logCallback = logCallback;
     this.onLevelComplete = onLevelComplete;
     this.onGameOver = onGameOver;
+    // Shared seeded generator; a fresh random seed is used when none is injected.
+    this.rng = options.rng || createRng();
+    // All timing is the host's business; headless runs resolve pauses immediately.
+    this.schedule = options.schedule || ((callback) => callback());
+    this.levelSettings = options.levelSettings || null;
+    this.purse = options.purse || { coins: 0 };
+    // Counter for item entity ids.
+    this.nextItemId = 1;
 
-    this.currentUnit = 0;
-    // Only live heroes get move points.
+    // Event listeners keyed by event type; '*' receives every event.
+    this.listeners = {};
+    if (typeof logCallback === 'function') {
+      this.on('*', event => {
+        const text = describeEvent(event);
+        if (text) logCallback(text);
+      });
+    }
+    if (typeof options.onEvent === 'function') this.on('*', options.onEvent);
+
+    // Hooks run by dealDamage: onHit after a hit lands, onDeath when it defeats its target.
+    this.damageHooks = { onHit: [], onDeath: [] };
+    this.addDamageHook('onHit', result => this.applyRage(result));
+    this.addDamageHook('onHit', result => this.checkBossPhases(result.target));
+    this.addDamageHook('onHit', result => this.awardDamageXp(result));
+    this.addDamageHook('onDeath', result => this.applyBulk(result));
+
+    // Index in the party of the hero whose turn it is.
     // Use party[this.currentUnit] instead of filtering in order to maintain the correct pointer.
-    this.movePoints = this.party.length > 0 && !this.party[0].persistentDeath ? this.party[0].agility : 0;
+    this.currentUnit = 0;
+    this.movePoints = 0;
+    // Initiative timeline: the round number and the units that already acted in it.
+    this.round = 0;
+    this.actedThisRound = new Set();
+    // Waves: the wave on the field, the level's wave count and the rest phase between waves.
+    this.waveNumber = 1;
+    this.totalWaves = this.levelSettings && this.levelSettings.waves > 1 ? this.levelSettings.waves : 1;
+    this.resting = false;
+    this.restRoundsLeft = 0;
+    // Counter for enemy entity ids; later waves continue it.
+    this.nextEnemyId = 0;
     this.awaitingAttackDirection = false;
+    // Inventory slot of the throwable waiting for a direction, or null.
+    this.pendingThrow = null;
+    // True while the active hero's ability waits for a direction.
+    this.pendingAbility = false;
+    // Cell of the free-target cursor while the active hero aims with it, or null.
+    this.targetCursor = null;
     this.transitioningLevel = false;
+    // True while an attack waits for its pause to end; input is ignored meanwhile.
+    this.resolvingAction = false;
 
     // Initialize status effects for all heroes and enemies.
-    this.party.forEach(hero => {
+    this.party.forEach((hero, index) => {
+      // Entity id; kept for the whole run since heroes carry over between levels.
+      if (!hero.id) hero.id = `hero-${index}-${hero.name}`;
       hero.statusEffects = hero.statusEffects || {};
+      // Status effects last for one battle; only the death marker carries over.
+      Object.keys(STATUS_EFFECTS).forEach(name => delete hero.statusEffects[name]);
       // Persistent death marker may already exist.
       if (!hero.persistentDeath) hero.persistentDeath = null;
       // Initialize rise stat if not set.
       if (typeof hero.rise !== 'number') hero.rise = 0;
       // Initialize dodge stat if not set.
       if (typeof hero.dodge !== 'number') hero.dodge = 0;
+      // The inventory is carried from level to level.
+      if (!Array.isArray(hero.inventory)) hero.inventory = [];
+      // So are experience and the hero's own level.
+      if (typeof hero.xpLevel !== 'number') hero.xpLevel = 1;
+      if (typeof hero.xp !== 'number') hero.xp = 0;
+      // Ability cooldowns last for one battle.
+      hero.abilityCooldown = 0;
     });
-    this.enemies.forEach(enemy => {
-      enemy.statusEffects = {};
-      // Initialize dodge stat if not set.
-      if (typeof enemy.dodge !== 'number') enemy.dodge = 0;
-    });
+    this.enemies.forEach(enemy => this.prepareEnemy(enemy));
+    // Wall segments are created with the field; the rules come from the level.
+    const settings = this.levelSettings || {};
+    this.wallSegments = [];
+    this.wallRules = {
+      collapse: settings.wallCollapse || 'breach',
+      breachWidth: settings.breachWidth || 1,
+      regen: settings.wallRegen || 0
+    };
+    this.wallBroken = false;
+    this.objectives = this.createObjectives();
+    // Escorted units; they take turns but are not controlled by the player.
+    this.allies = this.objectives
+      .filter(objective => objective.type === 'escort')
+      .map((objective, index) => {
+        objective.ally = { attack: 0, range: 0, ...objective.unit, id: `ally-${index}`, statusEffects: {}, destination: { x: objective.x, y: objective.y } };
+        return objective.ally;
+      });
     this.battlefield = this.initializeBattlefield();
+    this.applyStartingStatuses();
+    // The deployment phase, when the host asks for it, holds the first turn back.
+    this.deployment = null;
+    if (options.deploy) {
+      this.beginDeployment();
+    } else {
+      // Enemies faster than every hero act before the first hero turn.
+      this.advanceInitiative();
+    }
+  }
+
+  // Builds the objective states of the level; breaking the wall when none are declared.
+  createObjectives() {
+    const declared = this.levelSettings && Array.isArray(this.levelSettings.objectives) && this.levelSettings.objectives.length > 0
+      ? this.levelSettings.objectives
+      : [{ type: 'breakWall' }];
+    return declared.map(objective => {
+      if (!getObjectiveDefinition(objective.type)) {
+        throw new Error(`${(this.levelSettings && this.levelSettings.title) || 'Level'}: unknown objective type "${objective.type}".`);
+      }
+      return { ...objective, bonus: !!objective.bonus, status: 'active' };
+    });
+  }
+
+  // Gives an enemy its entity id and battle state.
+  prepareEnemy(enemy) {
+    enemy.id = `enemy-${this.nextEnemyId++}`;
+    enemy.statusEffects = {};
+    // Initialize dodge stat if not set.
+    if (typeof enemy.dodge !== 'number') enemy.dodge = 0;
+    // Starting HP and cell, read by the flee and guard behaviors.
+    if (typeof enemy.maxHp !== 'number') enemy.maxHp = enemy.hp;
+    enemy.post = { x: enemy.x, y: enemy.y };
+    // Bosses count the phases they have entered; 0 is the starting phase.
+    const title = this.levelSettings && this.levelSettings.title;
+    if (isBoss(enemy)) {
+      enemy.phases = getBossPhases(enemy, title);
+      enemy.phase = 0;
+    }
+    // Unknown behaviors, also those of later boss phases, are reported when the enemy takes the field.
+    getBehavior(enemy, title);
+    (enemy.phases || []).forEach(phase => {
+      if (phase.behavior) getBehavior({ ...enemy, behavior: phase.behavior }, title);
+    });
+  }
+
+  /**
+   * Subscribes to engine events.
+   * @param {string} type - An event type from battleEvents.js, or '*' for all events.
+   * @param {function} handler - Called with the event object.
+   * @returns {function} A function that removes the subscription.
+   */
+  on(type, handler) {
+    (this.listeners[type] = this.listeners[type] || []).push(handler);
+    return () => this.off(type, handler);
+  }
+
+  off(type, handler) {
+    if (!this.listeners[type]) return;
+    this.listeners[type] = this.listeners[type].filter(h => h !== handler);
+  }
+
+  emit(type, payload = {}) {
+    const event = { type, ...payload };
+    (this.listeners[type] || []).forEach(handler => handler(event));
+    (this.listeners['*'] || []).forEach(handler => handler(event));
+    return event;
+  }
+
+  /**
+   * Registers a damage hook.
+   * @param {string} type - 'onHit' or 'onDeath'.
+   * @param {function} hook - Called with `(result, engine)`; see resolveDamage in damage.js for the result.
+   * @returns {function} A function that removes the hook.
+   */
+  addDamageHook(type, hook) {
+    this.damageHooks[type].push(hook);
+    return () => {
+      this.damageHooks[type] = this.damageHooks[type].filter(h => h !== hook);
+    };
+  }
+
+  /**
+   * Deals damage to a hero or enemy. Every damage source goes through here so that dodge,
+   * armor, resistances, hooks and death cleanup are handled the same way.
+   * @param {Object} target - The unit taking the damage.
+   * @param {number} amount - The damage before dodge, armor and resistances.
+   * @param {Object} [options]
+   * @param {Object|null} [options.source] - The unit dealing the damage, if any.
+   * @param {string} [options.kind] - The damage kind (see DAMAGE_KINDS in damage.js).
+   * @param {string} [options.collision] - For knockback damage: 'edge' or 'wall'.
+   * @returns {Object} The damage result from resolveDamage.
+   */
+  dealDamage(target, amount, { source = null, kind = 'attack', collision } = {}) {
+    const result = resolveDamage(target, amount, { source, kind, rng: this.rng });
+    if (result.dodged) {
+      this.emit('attackDodged', { attacker: source, target, result });
+      return result;
+    }
+    if (result.absorbed) {
+      this.emit('armorAbsorbed', { attacker: source, target, armor: target.armor, result });
+    } else {
+      this.emit('damageDealt', { source, target, amount: result.amount, hpLeft: result.hpLeft, kind, collision, result });
+    }
+    if (result.shielded) this.clearDepletedStatuses(target);
+    if (result.defeated) {
+      if (this.isEnemy(target)) this.removeEnemy(target, kind);
+      else if (this.isHero(target)) this.handleHeroDeath(target, kind);
+      else if (this.isAlly(target)) this.removeAlly(target, kind);
+      // A hero with rise stands back up instead.
+      result.defeated = target.hp <= 0;
+    }
+    this.damageHooks.onHit.forEach(hook => hook(result, this));
+    if (result.defeated) this.damageHooks.onDeath.forEach(hook => hook(result, this));
+    return result;
+  }
+
+  /**
+   * Puts a status effect on a hero or enemy, following the effect's stacking rule.
+   * @param {Object} target - The unit receiving the effect.
+   * @param {string} name - A status effect from statusEffects.js.
+   * @param {Object} [options]
+   * @param {number} [options.potency] - Strength of the effect (damage per tick, slüj level, ...).
+   * @param {number|null} [options.duration] - Turns the effect lasts; defaults to the effect's own duration.
+   * @param {Object|null} [source] - The unit causing the effect, if any.
+   * @returns {Object|null} The active effect, or null for unknown effects.
+   */
+  applyStatus(target, name, { potency = 1, duration } = {}, source = null) {
+    const definition = getStatusDefinition(name);
+    if (!definition) return null;
+    const turns = duration === undefined ? definition.duration : duration;
+    const existing = target.statusEffects[name];
+    let effect;
+    if (existing && definition.stacking === 'intensify') {
+      existing.potency += potency;
+      existing.duration = turns;
+      effect = existing;
+    } else if (existing && definition.stacking === 'extend' && existing.duration !== null && turns !== null) {
+      existing.potency = Math.max(existing.potency, potency);
+      existing.duration += turns;
+      effect = existing;
+    } else if (existing) {
+      existing.potency = Math.max(existing.potency, potency);
+      existing.duration = turns;
+      effect = existing;
+    } else {
+      effect = { potency, duration: turns };
+      target.statusEffects[name] = effect;
+    }
+    if (definition.onApply) definition.onApply(this, target, effect);
+    this.emit('statusApplied', { target, status: name, potency: effect.potency, duration: effect.duration, source });
+    return effect;
+  }
+
+  removeStatus(target, name) {
+    const effect = target.statusEffects[name];
+    const definition = getStatusDefinition(name);
+    if (!effect || !definition) return;
+    delete target.statusEffects[name];
+    if (definition.onExpire) definition.onExpire(this, target, effect);
+    this.emit('statusExpired', { target, status: name });
+  }
+
+  // Applies the on-hit status effects of an attacker's stats (burn, slüj, poison, stun, ...).
+  applyOnHitStatuses(attacker, target) {
+    Object.entries(STATUS_EFFECTS).forEach(([name, definition]) => {
+      if (!definition.stat) return;
+      const potency = attacker[definition.stat];
+      if (typeof potency !== 'number' || potency <= 0) return;
+      if (definition.chance && this.rng.next() >= definition.chance(potency)) return;
+      this.applyStatus(target, name, { potency }, attacker);
+    });
+  }
+
+  // Units with a shield stat start the battle shielded.
+  applyStartingStatuses() {
+    [...this.getLiveHeroes(), ...this.enemies].forEach(unit => {
+      if (unit.shield && unit.shield > 0) this.applyStatus(unit, 'shield', { potency: unit.shield });
+    });
+  }
+
+  /**
+   * Starts a unit's turn: ticks its status effects and expires those that ran out.
+   * @param {Object} unit - The hero or enemy whose turn starts.
+   * @returns {boolean} True if the unit can act this turn.
+   */
+  startUnitTurn(unit) {
+    let canAct = true;
+    getActiveStatuses(unit).forEach(({ name, effect, definition }) => {
+      if (definition.preventsAction) {
+        canAct = false;
+        this.emit('turnSkipped', { unit, status: name });
+      }
+      if (definition.onTick) definition.onTick(this, unit, effect);
+      if (effect.duration !== null) {
+        effect.duration--;
+        if (effect.duration <= 0) this.removeStatus(unit, name);
+      }
+    });
+    const defeated = this.isHero(unit) ? Boolean(unit.persistentDeath) : !this.isEnemy(unit) && !this.isAlly(unit);
+    return canAct && !defeated;
+  }
+
+  // Removes effects that have been used up (e.g. a shield with no strength left).
+  clearDepletedStatuses(unit) {
+    getActiveStatuses(unit).forEach(({ name, effect, definition }) => {
+      if (definition.isDepleted && definition.isDepleted(effect)) this.removeStatus(unit, name);
+    });
+  }
+
+  // Number of moves a unit gets this turn, after effects such as slow.
+  getMoves(unit) {
+    return getActiveStatuses(unit).reduce((moves, { effect, definition }) => (
+      definition.modifyMoves ? definition.modifyMoves(effect, moves) : moves
+    ), unit.agility);
+  }
+
+  // A confused unit goes in a random direction half of the time.
+  getConfusedDirection(unit, dx, dy) {
+    const confused = getActiveStatuses(unit).some(({ definition }) => definition.confuses);
+    if (!confused || this.rng.next() >= 0.5) return [dx, dy];
+    const direction = this.rng.pick([[0, -1], [0, 1], [-1, 0], [1, 0]]);
+    this.emit('unitConfused', { unit });
+    return direction;
+  }
+
+  // Built-in on-hit hook: a hero with rage who survives an enemy attack gets a random boost.
+  applyRage(result) {
+    const hero = result.target;
+    if (result.kind !== 'attack' || result.defeated || !this.isHero(hero)) return;
+    if (hero.rage && hero.rage > 0) {
+      const stats = getCoreStatKeys();
+      const randomStat = this.rng.pick(stats);
+      if (hero.hasOwnProperty(randomStat)) {
+        this.changeStat(hero, randomStat, hero.rage, 'rage');
+      }
+    }
+  }
+
+  // Built-in on-death hook: a hero with bulk who defeats an enemy gets a random boost.
+  applyBulk(result) {
+    const { source, target } = result;
+    if (!source || !this.isHero(source) || this.isHero(target) || this.isAlly(target)) return;
+    if (source.bulk && source.bulk > 0 && !source.persistentDeath) {
+      const randomStat = this.rng.pick(getCoreStatKeys());
+      this.changeStat(source, randomStat, source.bulk, 'bulk');
+    }
+  }
+
+  // Built-in on-hit hook: heroes earn XP for damage dealt to enemies and for defeating them.
+  awardDamageXp(result) {
+    const { source, target } = result;
+    if (!source || !this.isHero(source) || this.isHero(target) || this.isAlly(target)) return;
+    this.awardXp(source, getXpReward('damage', result.amount), 'damage');
+    if (result.defeated) this.awardXp(source, getXpReward('kill'), 'kill');
+  }
+
+  /**
+   * Gives a hero XP; every level it reaches adds the gains of its curve (heroCurves.js).
+   * @param {Object} hero - The hero earning the XP; other units are ignored.
+   * @param {number} amount - The XP.
+   * @param {string} reason - 'damage', 'kill', 'heal' or 'wall'.
+   */
+  awardXp(hero, amount, reason) {
+    if (!this.isHero(hero) || hero.persistentDeath || amount <= 0) return;
+    const levels = addXp(hero, amount);
+    this.emit('xpGained', { unit: hero, amount, reason, xp: hero.xp, xpLevel: hero.xpLevel });
+    levels.forEach(level => {
+      this.emit('heroLeveledUp', { unit: hero, level });
+      const gains = getLevelGains(hero, level);
+      Object.keys(gains).forEach(stat => this.changeStat(hero, stat, gains[stat], 'levelUp'));
+    });
   }
 
   // Returns the list of heroes that are not persistently dead.
@@ -64,123 +498,354 @@ export class BattleEngine {
     return this.party.filter(hero => !hero.persistentDeath);
   }
 
+  isEnemy(unit) {
+    return this.enemies.includes(unit);
+  }
+
+  isAlly(unit) {
+    return this.allies.includes(unit);
+  }
+
+  isHero(unit) {
+    return this.party.includes(unit);
+  }
+
+  // Returns the live enemy standing on a cell, if any.
+  getEnemyAt(x, y) {
+    const unit = this.battlefield.getUnitAt(x, y);
+    return unit && this.isEnemy(unit) ? unit : null;
+  }
+
+  // Returns the live hero standing on a cell, if any.
+  getAllyAt(x, y) {
+    const unit = this.battlefield.getUnitAt(x, y);
+    return unit && this.isAlly(unit) ? unit : null;
+  }
+
+  getHeroAt(x, y) {
+    const unit = this.battlefield.getUnitAt(x, y);
+    return unit && this.isHero(unit) ? unit : null;
+  }
+
   initializeBattlefield() {
-    const field = Array.from({ length: this.rows }, () => Array(this.cols).fill('.'));
-    this.placeHeroes(field);
+    const field = new Battlefield(this.rows, this.cols);
+    // Layout first so that everything else is only placed on open cells.
+    this.applyLayout(field);
     this.placeEnemies(field);
     this.createWall(field);
-    this.placeHealingItem(field);
-    this.placeMushroom(field);
-    if (this.levelSettings && this.levelSettings.layout) {
-      for (let y = 0; y < this.levelSettings.layout.length; y++) {
-        for (let x = 0; x < this.levelSettings.layout[y].length; x++) {
-          if (this.levelSettings.layout[y][x] === '.wall') field[y][x] = '.wall';
-        }
-      }
-    }
+    this.placeLevelItems(field);
+    this.placeHeroes(field);
+    this.placeAllies(field);
+    this.placeRandomItems(field);
     // Apply caprice and fate buffs only to live heroes.
     this.getLiveHeroes().forEach(hero => {
       if (hero.caprice && hero.caprice > 0) {
-        const stats = ['attack', 'range', 'agility', 'hp'];
+        const stats = getCoreStatKeys();
         for (let i = 0; i < hero.caprice; i++) {
-          const randomStat = stats[Math.floor(Math.random() * stats.length)];
-          hero[randomStat] += 1;
-          this.logCallback(`${hero.name}'s caprice boosts ${randomStat} to ${hero[randomStat]}`);
+          const randomStat = this.rng.pick(stats);
+          this.changeStat(hero, randomStat, 1, 'caprice');
         }
       }
     });
     this.getLiveHeroes().forEach(hero => {
       if (hero.fate && hero.fate > 0) {
-        const fates = [
-          { stat: 'attack', change: 1 }, { stat: 'attack', change: -1 },
-          { stat: 'range', change: 1 }, { stat: 'range', change: -1 },
-          { stat: 'agility', change: 1 }, { stat: 'agility', change: -1 },
-          { stat: 'hp', change: 1 }, { stat: 'hp', change: -1 }
-        ];
+        const fates = getCoreStatKeys().flatMap(stat => [{ stat, change: 1 }, { stat, change: -1 }]);
         for (let i = 0; i < hero.fate; i++) {
-          const randomFate = fates[Math.floor(Math.random() * fates.length)];
-          hero[randomFate.stat] += randomFate.change;
-          this.logCallback(`${hero.name}'s fate changes ${randomFate.stat} to ${hero[randomFate.stat]}`);
+          const randomFate = this.rng.pick(fates);
+          this.changeStat(hero, randomFate.stat, randomFate.change, 'fate');
         }
       }
     });
     return field;
   }
 
+  // Turns the level layout into obstacles, rejecting layouts that conflict with the level.
+  applyLayout(field) {
+    const layout = this.levelSettings && this.levelSettings.layout;
+    if (!layout) return;
+    const title = this.levelSettings.title || 'Level';
+    if (layout.length !== this.rows || layout.some(row => !row || row.length !== this.cols)) {
+      throw new Error(`${title}: layout must be ${this.rows} rows of ${this.cols} cells to match the battlefield.`);
+    }
+    for (let y = 0; y < this.rows; y++) {
+      for (let x = 0; x < this.cols; x++) {
+        const cell = layout[y][x];
+        if (!cell || (cell.type !== 'wall' && cell.type !== 'door')) continue;
+        // The bottom row belongs to the level wall.
+        if (y === this.rows - 1) continue;
+        field.setTerrain(x, y, cell.type === 'door'
+          ? { kind: 'door', x, y }
+          : { kind: 'obstacle', x, y, hp: cell.hp, maxHp: cell.hp });
+      }
+    }
+    this.enemies.forEach(enemy => {
+      if (!field.isWithinBounds(enemy.x, enemy.y)) {
+        throw new Error(`${title}: enemy "${enemy.name}" at (${enemy.x}, ${enemy.y}) is outside the ${this.cols}x${this.rows} battlefield.`);
+      }
+      if (field.getTerrain(enemy.x, enemy.y)) {
+        throw new Error(`${title}: enemy "${enemy.name}" at (${enemy.x}, ${enemy.y}) is placed on a layout wall.`);
+      }
+    });
+    getObjectiveCells(this.objectives).forEach(cell => {
+      if (!field.isWithinBounds(cell.x, cell.y) || cell.y === this.rows - 1 || field.getTerrain(cell.x, cell.y)) {
+        throw new Error(`${title}: objective cell (${cell.x}, ${cell.y}) must be an open cell above the wall row.`);
+      }
+    });
+    const openCells = field.getEmptyCells({ excludeBottomRow: true }).length;
+    const needed = this.enemies.length + this.getLiveHeroes().length + this.allies.length;
+    if (openCells < needed) {
+      throw new Error(`${title}: layout leaves ${openCells} open cells but ${needed} units need a place.`);
+    }
+  }
+
+  getObstacleAt(x, y) {
+    const terrain = this.battlefield.getTerrain(x, y);
+    return terrain && terrain.kind === 'obstacle' ? terrain : null;
+  }
+
+  getWallAt(x, y) {
+    const terrain = this.battlefield.getTerrain(x, y);
+    return terrain && terrain.kind === 'wall' ? terrain : null;
+  }
+
+  getDoorAt(x, y) {
+    const terrain = this.battlefield.getTerrain(x, y);
+    return terrain && terrain.kind === 'door' ? terrain : null;
+  }
+
+  // Damages a layout obstacle; a destroyed obstacle opens its cell.
+  damageObstacle(obstacle, unit) {
+    obstacle.hp -= unit.attack;
+    this.emit('obstacleDamaged', { unit, obstacle, amount: unit.attack, hp: Math.max(0, obstacle.hp) });
+    if (obstacle.hp <= 0) {
+      this.battlefield.setTerrain(obstacle.x, obstacle.y, null);
+      this.emit('obstacleDestroyed', { unit, obstacle });
+    }
+  }
+
+  // Changes a unit's stat and reports it as a statChanged event.
+  changeStat(unit, stat, amount, cause, source) {
+    // Stats a unit does not define yet (e.g. armor from equipment) start at 0.
+    const from = unit[stat] || 0;
+    const orderBefore = stat === 'agility' ? this.getUpcomingTurns() : null;
+    unit[stat] = from + amount;
+    this.emit('statChanged', { unit, stat, from, to: unit[stat], cause, source });
+    if (orderBefore) {
+      const order = this.getUpcomingTurns();
+      if (order.some((turn, i) => turn !== orderBefore[i])) this.emit('turnOrderChanged', { unit, order });
+    }
+  }
+
+  /**
+   * Lists the cells heroes may deploy on: the level's `deployment` cells, or else the
+   * first empty cells scanning from the top-left, two per live hero.
+   * @param {Battlefield} field - The field being set up.
+   * @returns {Array<{x: number, y: number}>} The cells, in auto-placement order.
+   */
+  getDeploymentCells(field) {
+    const heroes = this.getLiveHeroes().length;
+    const declared = this.levelSettings && this.levelSettings.deployment;
+    if (!declared) return field.getEmptyCells().slice(0, heroes * 2);
+    const title = this.levelSettings.title || 'Level';
+    declared.forEach(cell => {
+      if (!field.isEmpty(cell.x, cell.y) || cell.y === this.rows - 1) {
+        throw new Error(`${title}: deployment cell (${cell.x}, ${cell.y}) must be an empty cell above the wall row.`);
+      }
+    });
+    if (declared.length < heroes) {
+      throw new Error(`${title}: ${declared.length} deployment cells cannot hold ${heroes} heroes.`);
+    }
+    return declared.map(cell => ({ x: cell.x, y: cell.y }));
+  }
+
+  // Auto-placement: live heroes take the deployment cells in party order.
   placeHeroes(field) {
-    // Only place live heroes.
     // Use the party order so that currentUnit pointer correctly corresponds to the hero's position on the field.
-    this.party.forEach(hero => {
-      if (hero.persistentDeath) return;
-      let placed = false;
-      for (let y = 0; y < this.rows && !placed; y++) {
-        for (let x = 0; x < this.cols && !placed; x++) {
-          if (field[y][x] === '.') {
-            hero.x = x;
-            hero.y = y;
-            field[y][x] = hero.symbol;
-            placed = true;
-          }
-        }
+    this.deploymentCells = this.getDeploymentCells(field);
+    this.getLiveHeroes().forEach((hero, index) => {
+      const cell = this.deploymentCells[index];
+      field.placeUnit(hero, cell.x, cell.y);
+    });
+  }
+
+  /**
+   * Starts the deployment phase: the player moves each live hero between the deployment
+   * cells (moveDeployment) and confirms its cell (confirmDeployment). The battle starts
+   * once the last hero is confirmed or the phase is skipped (skipDeployment).
+   */
+  beginDeployment() {
+    this.deployment = { heroes: this.getLiveHeroes(), index: 0 };
+    this.emit('deploymentStarted', { cells: this.deploymentCells });
+    this.nextDeployment();
+  }
+
+  // Hands the deployment over to the next hero, or starts the battle after the last one.
+  nextDeployment() {
+    const hero = this.deployment.heroes[this.deployment.index];
+    if (!hero) {
+      this.endDeployment(false);
+      return;
+    }
+    this.currentUnit = this.party.indexOf(hero);
+    this.emit('deploymentTurn', { unit: hero });
+  }
+
+  /**
+   * Moves the hero being deployed to the nearest deployment cell in a direction. A hero
+   * already standing there swaps places with it.
+   * @param {number} dx - Direction to look in.
+   * @param {number} dy
+   */
+  moveDeployment(dx, dy) {
+    if (!this.deployment) return;
+    const hero = this.party[this.currentUnit];
+    let best = null;
+    let bestScore = Infinity;
+    this.deploymentCells.forEach(cell => {
+      const along = (cell.x - hero.x) * dx + (cell.y - hero.y) * dy;
+      if (along <= 0) return;
+      const occupant = this.battlefield.getUnitAt(cell.x, cell.y);
+      if (occupant ? !this.isHero(occupant) : !this.battlefield.isEmpty(cell.x, cell.y)) return;
+      // Straight ahead beats off to the side.
+      const across = Math.abs((cell.x - hero.x) * dy) + Math.abs((cell.y - hero.y) * dx);
+      const score = along + across * 2;
+      if (score < bestScore) {
+        best = cell;
+        bestScore = score;
       }
     });
+    if (!best) return;
+    const from = { x: hero.x, y: hero.y };
+    const other = this.battlefield.getUnitAt(best.x, best.y);
+    this.battlefield.removeUnit(hero);
+    if (other) this.battlefield.moveUnit(other, from.x, from.y);
+    this.battlefield.placeUnit(hero, best.x, best.y);
+    this.emit('unitMoved', { unit: hero, from, to: { x: best.x, y: best.y }, cause: 'deployment' });
+    if (other) this.emit('unitMoved', { unit: other, from: { x: best.x, y: best.y }, to: from, cause: 'deployment' });
+  }
+
+  // Keeps the deployed hero on its cell and moves on to the next one.
+  confirmDeployment() {
+    if (!this.deployment) return;
+    this.deployment.index++;
+    this.nextDeployment();
+  }
+
+  // Skips the rest of the deployment: every hero goes back to the auto-placement cells.
+  skipDeployment() {
+    if (!this.deployment) return;
+    const heroes = this.deployment.heroes;
+    heroes.forEach(hero => this.battlefield.removeUnit(hero));
+    heroes.forEach((hero, index) => this.battlefield.placeUnit(hero, this.deploymentCells[index].x, this.deploymentCells[index].y));
+    this.endDeployment(true);
+  }
+
+  endDeployment(skipped) {
+    this.deployment = null;
+    this.currentUnit = 0;
+    this.emit('deploymentEnded', { skipped });
+    // Enemies faster than every hero act before the first hero turn.
+    this.advanceInitiative();
+  }
+
+  // Escorted allies start on the first empty cells after the heroes.
+  placeAllies(field) {
+    this.allies.forEach(ally => {
+      const cell = field.getEmptyCells({ excludeBottomRow: true })[0];
+      if (cell) field.placeUnit(ally, cell.x, cell.y);
+    });
   }
 
   placeEnemies(field) {
     this.enemies.forEach(enemy => {
       enemy.statusEffects = {};
-      field[enemy.y][enemy.x] = enemy.symbol;
+      field.placeUnit(enemy, enemy.x, enemy.y);
     });
   }
 
   createWall(field) {
-    for (let i = 0; i < this.cols; i++) field[this.rows - 1][i] = 'ᚙ';
-    this.enemies.forEach(enemy => {
-      if (enemy.symbol === '█') field[enemy.y][enemy.x] = enemy.symbol;
-    });
+    for (let i = 0; i < this.cols; i++) {
+      // An enemy standing on the wall row keeps its cell.
+      if (field.getUnitAt(i, this.rows - 1)) continue;
+      const segment = { kind: 'wall', x: i, y: this.rows - 1, hp: this.wallHP, maxHp: this.wallHP };
+      field.setTerrain(i, this.rows - 1, segment);
+      this.wallSegments.push(segment);
+    }
   }
 
-  placeHealingItem(field) {
-    let emptyCells = [];
-    for (let y = 0; y < this.rows - 1; y++) {
-      for (let x = 0; x < this.cols; x++) {
-        if (field[y][x] === '.') emptyCells.push({ x, y });
-      }
-    }
-    if (emptyCells.length) {
-      const cell = emptyCells[Math.floor(Math.random() * emptyCells.length)];
-      field[cell.y][cell.x] = 'ౚ';
-    }
+  // Creates a field item of a catalog type.
+  createItem(kind) {
+    return { id: `item-${this.nextItemId++}`, kind, symbol: getItemDefinition(kind).symbol };
   }
 
-  placeMushroom(field) {
-    let emptyCells = [];
-    for (let y = 0; y < this.rows - 1; y++) {
-      for (let x = 0; x < this.cols; x++) {
-        if (field[y][x] === '.') emptyCells.push({ x, y });
+  // Places the items a level declares (`items: [{ type, x, y }]`) on their cells.
+  placeLevelItems(field) {
+    const items = (this.levelSettings && this.levelSettings.items) || [];
+    const title = (this.levelSettings && this.levelSettings.title) || 'Level';
+    items.forEach(item => {
+      if (!getItemDefinition(item.type)) throw new Error(`${title}: unknown item type "${item.type}".`);
+      if (!field.isEmpty(item.x, item.y) || item.y === this.rows - 1) {
+        throw new Error(`${title}: item "${item.type}" at (${item.x}, ${item.y}) must be on an empty cell above the wall row.`);
       }
-    }
+      field.placeItem(this.createItem(item.type), item.x, item.y);
+    });
+  }
+
+  // Scatters the level's random items (a vittle and a mushroom by default).
+  placeRandomItems(field) {
+    const kinds = this.levelSettings && Array.isArray(this.levelSettings.randomItems)
+      ? this.levelSettings.randomItems
+      : DEFAULT_RANDOM_ITEMS;
+    kinds.forEach(kind => this.placeItemRandomly(field, kind));
+  }
+
+  // Places an item on a random empty cell above the wall row.
+  placeItemRandomly(field, kind) {
+    const emptyCells = field.getEmptyCells({ excludeBottomRow: true });
     if (emptyCells.length) {
-      const cell = emptyCells[Math.floor(Math.random() * emptyCells.length)];
-      field[cell.y][cell.x] = 'ඉ';
+      const cell = this.rng.pick(emptyCells);
+      field.placeItem(this.createItem(kind), cell.x, cell.y);
     }
   }
 
   drawBattlefield() {
+    const glyphs = this.battlefield.toGlyphs();
+    const exits = new Set(getObjectiveCells(this.objectives).map(cell => `${cell.x},${cell.y}`));
+    // Cells a cursor attack would cover.
+    const preview = this.targetCursor ? this.getTargetPreview() : null;
     let html = '';
     for (let y = 0; y < this.rows; y++) {
       html += '<div class="row">';
       for (let x = 0; x < this.cols; x++) {
-        const cellContent = this.battlefield[y][x];
+        const unit = this.battlefield.getUnitAt(x, y);
+        const isExit = exits.has(`${x},${y}`);
+        const cellContent = isExit && !unit && !this.battlefield.getItemAt(x, y) ? EXIT_SYMBOL : glyphs[y][x];
         let cellClass = '';
-        if (cellContent === 'ౚ' || cellContent === 'ඉ') cellClass += ' healing-item';
-        if (this.enemies.some(enemy => enemy.symbol === cellContent)) cellClass += ' enemy';
+        if (isExit) cellClass += ' exit';
+        if (unit && this.isAlly(unit)) cellClass += ' ally';
+        if (!unit && this.battlefield.getItemAt(x, y)) cellClass += ' healing-item';
+        if (this.getObstacleAt(x, y)) cellClass += ' obstacle';
+        if (this.getDoorAt(x, y)) cellClass += ' door';
+        const wall = this.getWallAt(x, y);
+        if (wall && wall.hp < wall.maxHp) cellClass += ' wall-damaged';
+        if (!unit && this.wallSegments.some(segment => segment.hp <= 0 && segment.x === x && segment.y === y)) cellClass += ' breach';
+        if (unit && this.isEnemy(unit)) cellClass += ' enemy';
+        if (this.deployment && this.deploymentCells.some(cell => cell.x === x && cell.y === y)) cellClass += ' deploy';
+        if (preview && preview.cells.some(cell => cell.x === x && cell.y === y)) cellClass += ' target-area';
+        if (this.targetCursor && this.targetCursor.x === x && this.targetCursor.y === y) {
+          cellClass += preview.valid ? ' target-cursor' : ' target-cursor invalid';
+        }
+        const statusText = unit ? describeStatuses(unit) : '';
+        if (statusText) cellClass += ' has-status';
         // Use the active hero from the party (if not dead) for highlighting.
         const activeHero = this.party[this.currentUnit] && !this.party[this.currentUnit].persistentDeath ? this.party[this.currentUnit] : null;
         if (activeHero && activeHero.x === x && activeHero.y === y) {
-          cellClass += this.awaitingAttackDirection ? ' attack-mode' : ' active';
+          cellClass += this.awaitingAttackDirection || this.pendingThrow !== null || this.pendingAbility || this.targetCursor ? ' attack-mode' : ' active';
         }
-        html += `<div class="cell${cellClass}">${cellContent}</div>`;
+        let title = statusText ? ` title="${unit.name}: ${statusText}"` : '';
+        if (!title && wall) title = ` title="Wall: ${wall.hp}/${wall.maxHp} HP"`;
+        if (!title && this.getDoorAt(x, y)) title = ' title="Locked door"';
+        html += `<div class="cell${cellClass}"${title}>${cellContent}</div>`;
       }
       html += '</div>';
     }
@@ -191,190 +856,507 @@ export class BattleEngine {
     return x >= 0 && x < this.cols && y >= 0 && y < this.rows;
   }
 
+  // A unit may enter a cell with no terrain and no other unit; items do not block.
   isCellPassable(x, y) {
-    return (
-      this.battlefield[y][x] === '.' ||
-      this.battlefield[y][x] === 'ౚ' ||
-      this.battlefield[y][x] === 'ඉ'
-    );
+    return this.battlefield.isOpen(x, y);
   }
 
   moveUnit(dx, dy) {
-    if (this.awaitingAttackDirection || this.movePoints <= 0 || this.transitioningLevel) return;
+    if (this.deployment || this.awaitingAttackDirection || this.pendingThrow !== null || this.pendingAbility || this.targetCursor || this.movePoints <= 0 || this.transitioningLevel || this.resolvingAction) return;
     // Always refer to the active hero directly from party.
     const unit = this.party[this.currentUnit];
     if (!unit || unit.persistentDeath) return;
     if (unit.hp <= 0) {
-      this.logCallback(`${unit.name} is dead and cannot move.`);
+      this.emit('actionRefused', { unit, action: 'move', reason: 'dead' });
       return;
     }
+    [dx, dy] = this.getConfusedDirection(unit, dx, dy);
     const newX = unit.x + dx, newY = unit.y + dy;
     if (!this.isWithinBounds(newX, newY)) return;
-    if (this.battlefield[newY][newX] === 'ᚙ' || this.battlefield[newY][newX] === '█') {
-      this.wallHP -= unit.attack;
-      this.logCallback(`${unit.name} attacks the wall for ${unit.attack} damage! (Wall HP: ${this.wallHP})`);
-      if (this.wallHP <= 0 && !this.transitioningLevel) {
-        this.handleWallCollapse();
-        return;
-      }
+    const obstacle = this.getObstacleAt(newX, newY);
+    if (obstacle) {
+      // Bumping into an obstacle chips at it, like the wall.
+      this.damageObstacle(obstacle, unit);
       this.movePoints--;
       if (this.movePoints === 0) this.nextTurn();
       return;
     }
-    if (this.battlefield[newY][newX] === 'ౚ') {
-      const healingValue = 10 + (unit.spicy ? unit.spicy * 2 : 0);
-      unit.hp += healingValue;
-      this.logCallback(`${unit.name} picks up a vittle and heals for ${healingValue} HP! (New HP: ${unit.hp})`);
-      this.battlefield[newY][newX] = '.';
+    const wall = this.getWallAt(newX, newY);
+    if (wall) {
+      if (this.damageWall(wall, unit)) return;
+      this.movePoints--;
+      if (this.movePoints === 0) this.nextTurn();
+      return;
     }
-    if (this.battlefield[newY][newX] === 'ඉ') {
-      const healingValue = 5;
-      unit.hp += healingValue;
-      this.logCallback(`${unit.name} picks up a mushroom and heals for ${healingValue} HP! (New HP: ${unit.hp})`);
-      this.battlefield[newY][newX] = '.';
-      if (unit.spore && unit.spore > 0) {
-        const stats = ['attack', 'range', 'agility', 'hp'];
-        const randomStat = stats[Math.floor(Math.random() * stats.length)];
-        unit[randomStat] += unit.spore;
-        this.logCallback(`${unit.name} gains ${unit.spore} boost to ${randomStat} (Now: ${unit[randomStat]})`);
+    const door = this.getDoorAt(newX, newY);
+    if (door) {
+      // Walking into a locked door opens it with a key from the pack.
+      const keyIndex = this.findKey(unit);
+      if (keyIndex === -1) {
+        this.emit('doorLocked', { unit, door });
+        return;
       }
+      this.openDoor(door, unit, keyIndex);
+      this.movePoints--;
+      if (this.movePoints === 0) this.nextTurn();
+      return;
     }
     if (!this.isCellPassable(newX, newY)) return;
-    this.battlefield[unit.y][unit.x] = '.';
-    unit.x = newX;
-    unit.y = newY;
-    this.battlefield[newY][newX] = unit.symbol;
+    const item = this.battlefield.getItemAt(newX, newY);
+    if (item) this.pickUpItem(unit, item);
+    const from = { x: unit.x, y: unit.y };
+    this.battlefield.moveUnit(unit, newX, newY);
+    this.emit('unitMoved', { unit, from, to: { x: newX, y: newY } });
+    // Stepping onto an exit may finish the level.
+    if (this.checkObjectives()) return;
     this.movePoints--;
     if (this.movePoints === 0) this.nextTurn();
   }
 
-  async attackInDirection(dx, dy, unit, recordAttackCallback) {
-    if (this.transitioningLevel) return;
+  // Puts an item into the hero's pack; a full pack leaves it on the ground.
+  pickUpItem(unit, item) {
+    if (unit.inventory.length >= INVENTORY_SIZE) {
+      this.emit('inventoryFull', { unit, item: item.kind });
+      return;
+    }
+    unit.inventory.push(item.kind);
+    this.battlefield.removeItem(item);
+    this.emit('itemPickedUp', { unit, item: item.kind });
+  }
+
+  // Inventory slot of the first key a unit carries, or -1.
+  findKey(unit) {
+    return unit.inventory.findIndex(type => getItemDefinition(type).category === 'key');
+  }
+
+  // Uses up the key in the given inventory slot to open a door.
+  openDoor(door, unit, keyIndex) {
+    const [key] = unit.inventory.splice(keyIndex, 1);
+    this.battlefield.setTerrain(door.x, door.y, null);
+    this.emit('doorOpened', { unit, door, item: key });
+  }
+
+  /**
+   * Uses an item from the active hero's inventory. Throwables wait for a direction (see
+   * throwItem); other items take effect at once and take the hero's action.
+   * @param {number} index - The inventory slot.
+   */
+  useItem(index) {
+    if (this.deployment || this.transitioningLevel || this.resolvingAction) return;
+    const unit = this.party[this.currentUnit];
+    if (!unit || unit.persistentDeath) return;
+    const type = unit.inventory[index];
+    if (!type) return;
+    const definition = getItemDefinition(type);
+    this.awaitingAttackDirection = false;
+    this.pendingThrow = null;
+    this.pendingAbility = false;
+    this.targetCursor = null;
+    if (definition.category === 'throwable') {
+      this.pendingThrow = index;
+      this.emit('throwReady', { unit, item: type });
+      return;
+    }
+    if (definition.category === 'key') {
+      const door = [[0, -1], [0, 1], [-1, 0], [1, 0]]
+        .map(([dx, dy]) => this.getDoorAt(unit.x + dx, unit.y + dy))
+        .find(Boolean);
+      if (!door) {
+        this.emit('itemRefused', { unit, item: type, reason: 'noDoor' });
+        return;
+      }
+      this.openDoor(door, unit, index);
+      this.finishAction();
+      return;
+    }
+    unit.inventory.splice(index, 1);
+    if (definition.category === 'equipment') {
+      const worn = getEquipment(unit)[definition.slot];
+      this.emit('itemEquipped', { unit, item: type, slot: definition.slot, replaced: worn });
+      equipItem(unit, type, (hero, stat, amount) => this.changeStat(hero, stat, amount, 'equipment'));
+      // Taking an item off frees the pack space the new one came from.
+      if (worn) unit.inventory.push(worn);
+      this.finishAction();
+      return;
+    }
+    const effect = getItemEffect(type, unit);
+    unit.hp += effect.heal;
+    this.emit('itemUsed', { unit, item: type, healing: effect.heal, hp: unit.hp });
+    if (effect.boost > 0) this.changeStat(unit, this.rng.pick(getCoreStatKeys()), effect.boost, 'item');
+    // Tonics raise stats for good.
+    Object.keys(definition.stats || {}).forEach(stat => this.changeStat(unit, stat, definition.stats[stat], 'item'));
+    this.finishAction();
+  }
+
+  /**
+   * Throws the item chosen with useItem: it flies up to its range and hits the first
+   * enemy in the way. Terrain and other units stop it.
+   * @param {number} dx - Direction of the throw.
+   * @param {number} dy
+   */
+  throwItem(dx, dy) {
+    if (this.pendingThrow === null || this.transitioningLevel || this.resolvingAction) return;
+    const unit = this.party[this.currentUnit];
+    const [type] = unit.inventory.splice(this.pendingThrow, 1);
+    this.pendingThrow = null;
+    const definition = getItemDefinition(type);
+    const effect = getItemEffect(type, unit);
+    this.emit('itemThrown', { unit, item: type, dx, dy });
+    [dx, dy] = this.getConfusedDirection(unit, dx, dy);
+    for (let i = 1; i <= effect.range; i++) {
+      const x = unit.x + dx * i, y = unit.y + dy * i;
+      if (!this.isWithinBounds(x, y) || this.battlefield.getTerrain(x, y)) break;
+      const target = this.battlefield.getUnitAt(x, y);
+      if (!target) continue;
+      if (!this.isEnemy(target)) break;
+      const hit = this.dealDamage(target, effect.damage, { source: unit, kind: 'thrown' });
+      if (definition.status && !hit.dodged && !hit.absorbed && !hit.defeated) {
+        this.applyStatus(target, definition.status.name, { potency: definition.status.potency }, unit);
+      }
+      this.finishAction();
+      return;
+    }
+    this.emit('itemMissed', { unit, item: type });
+    this.finishAction();
+  }
+
+  // Puts the active hero into attack mode; the next direction chooses the target line.
+  beginAttack() {
+    if (this.deployment || this.transitioningLevel || this.resolvingAction) return;
+    const unit = this.party[this.currentUnit];
+    if (!unit || unit.persistentDeath) return;
+    this.pendingThrow = null;
+    this.pendingAbility = false;
+    this.targetCursor = null;
+    this.awaitingAttackDirection = true;
+    this.emit('attackReady', { unit });
+  }
+
+  /**
+   * Uses the active hero's ability (see abilities.js). Abilities that aim wait for a
+   * direction (see aimAbility); the others take effect at once.
+   */
+  useAbility() {
+    if (this.deployment || this.transitioningLevel || this.resolvingAction) return;
+    const unit = this.party[this.currentUnit];
+    if (!unit || unit.persistentDeath) return;
+    const ability = getHeroAbility(unit);
+    if (!ability) {
+      this.emit('abilityRefused', { unit, ability: null, reason: 'none' });
+      return;
+    }
+    if (unit.abilityCooldown > 0) {
+      this.emit('abilityRefused', { unit, ability: ability.type, reason: 'cooldown', turns: unit.abilityCooldown });
+      return;
+    }
+    this.awaitingAttackDirection = false;
+    this.pendingThrow = null;
+    this.targetCursor = null;
+    if (ability.targeting === 'direction') {
+      this.pendingAbility = true;
+      this.emit('abilityReady', { unit, ability: ability.type });
+      return;
+    }
+    this.resolveAbility(unit, ability, null);
+  }
+
+  /**
+   * Fires the ability readied with useAbility in a direction.
+   * @param {number} dx - Direction of the ability.
+   * @param {number} dy
+   */
+  aimAbility(dx, dy) {
+    if (!this.pendingAbility || this.transitioningLevel || this.resolvingAction) return;
+    const unit = this.party[this.currentUnit];
+    this.pendingAbility = false;
+    [dx, dy] = this.getConfusedDirection(unit, dx, dy);
+    this.resolveAbility(unit, getHeroAbility(unit), { dx, dy });
+  }
+
+  // Carries an ability out on its targets, starts its cooldown and takes the hero's action.
+  resolveAbility(unit, ability, aim) {
+    const targets = ability.findTargets(this, unit, aim);
+    if (targets.length === 0) {
+      this.emit('abilityRefused', { unit, ability: ability.type, reason: 'noTarget' });
+      return;
+    }
+    unit.abilityCooldown = ability.cooldown;
+    this.emit('abilityUsed', { unit, ability: ability.type, targets, cooldown: ability.cooldown });
+    ability.use(this, unit, targets, aim);
+    this.finishAction();
+  }
+
+  // Counts a hero's ability cooldown down at the start of its turn.
+  tickAbilityCooldown(hero) {
+    if (!(hero.abilityCooldown > 0)) return;
+    hero.abilityCooldown--;
+    if (hero.abilityCooldown === 0) this.emit('abilityCharged', { unit: hero, ability: getHeroAbility(hero).type });
+  }
+
+  // Restores HP to a hero or ally; heroes earn XP for healing.
+  healUnit(source, target, amount) {
+    target.hp += amount;
+    this.emit('healed', { source, target, amount, hp: target.hp });
+    this.awardXp(source, getXpReward('heal', amount), 'heal');
+  }
+
+  // Ends the current hero action: pause (via the host), then hand over to the next unit.
+  finishAction() {
+    this.awaitingAttackDirection = false;
+    this.pendingThrow = null;
+    this.pendingAbility = false;
+    this.targetCursor = null;
+    this.resolvingAction = true;
+    this.schedule(() => {
+      this.resolvingAction = false;
+      this.nextTurn();
+    }, ACTION_PAUSE);
+  }
+
+  attackInDirection(dx, dy, unit) {
+    if (this.deployment || this.transitioningLevel || this.resolvingAction) return;
     if (unit.hp <= 0) {
-      this.logCallback(`${unit.name} is dead and cannot attack.`);
+      this.emit('actionRefused', { unit, action: 'attack', reason: 'dead' });
       return;
     }
-    await recordAttackCallback(`${unit.name} attacked in direction (${dx}, ${dy}).`);
+    this.emit('attackDeclared', { unit, dx, dy });
+    [dx, dy] = this.getConfusedDirection(unit, dx, dy);
     for (let i = 1; i <= unit.range; i++) {
       const targetX = unit.x + dx * i, targetY = unit.y + dy * i;
       if (!this.isWithinBounds(targetX, targetY)) break;
-      // Use only live heroes for targeting; dead heroes never register.
-      const ally = this.getLiveHeroes().find(h => h.x === targetX && h.y === targetY && h !== unit);
+      // Dead heroes are off the field, so only live heroes (and escorted allies) register as allies.
+      const ally = this.getHeroAt(targetX, targetY) || this.getAllyAt(targetX, targetY);
       if (ally) {
-        if (unit.heal && unit.heal > 0) {
-          ally.hp += unit.heal;
-          this.logCallback(`${unit.name} heals ${ally.name} for ${unit.heal} HP! (New HP: ${ally.hp})`);
-        } else if (unit.psych && unit.psych > 0) {
-          const stats = ['attack', 'range', 'agility', 'hp'];
-          const randomStat = stats[Math.floor(Math.random() * stats.length)];
-          ally[randomStat] += unit.psych;
-          this.logCallback(`${unit.name} uses psych on ${ally.name}, boosting ${randomStat} by ${unit.psych}! (New ${randomStat}: ${ally[randomStat]})`);
-        } else {
-          this.logCallback(`${unit.name} attacks ${ally.name} but nothing happens.`);
-        }
-        this.awaitingAttackDirection = false;
-        await this.shortPause();
-        this.nextTurn();
+        this.supportAlly(unit, ally);
+        this.finishAction();
         return;
       }
-      // If a hero is found at the targeted cell but is dead, treat it as an empty cell.
-      const deadHero = this.party.find(h => h.x === targetX && h.y === targetY && h.persistentDeath);
+      // If a dead hero last stood on the (now unoccupied) cell, treat it as an empty cell.
+      const deadHero = !this.battlefield.getUnitAt(targetX, targetY) &&
+        this.party.find(h => h.persistentDeath && h.x === targetX && h.y === targetY);
       if (deadHero) {
-        this.logCallback(`${unit.name} attacks an empty cell where ${deadHero.name} once stood.`);
-        this.awaitingAttackDirection = false;
-        await this.shortPause();
-        this.nextTurn();
+        this.emit('attackMissed', { unit, reason: 'deadHero', target: deadHero });
+        this.finishAction();
         return;
       }
-      const enemy = this.enemies.find(e => e.x === targetX && e.y === targetY);
+      const enemy = this.getEnemyAt(targetX, targetY);
       if (enemy) {
-         // DODGE CHECK START
-        let dodgeChance = enemy.dodge / (100 + enemy.dodge); // Diminishing returns
-        dodgeChance = Math.min(dodgeChance, 0.5); // Cap dodge chance at 50%
-        if (Math.random() < dodgeChance) {
-          this.logCallback(`${enemy.name} dodges ${unit.name}'s attack!`);
-          this.awaitingAttackDirection = false;
-          await this.shortPause();
-          this.nextTurn();
-          return; // Skip the rest of the attack logic
-        }
-        // DODGE CHECK END
-        enemy.hp -= unit.attack;
-        this.logCallback(`${unit.name} attacks ${enemy.name} for ${unit.attack} damage! (HP left: ${enemy.hp})`);
-        if (unit.trick > 0) {
-          const debuffableStats = ["attack", "range", "agility", "hp"];
-          const availableStats = debuffableStats.filter(stat => typeof enemy[stat] === "number");
-          if (availableStats.length > 0) {
-            const chosenStat = availableStats[Math.floor(Math.random() * availableStats.length)];
-            const orig = enemy[chosenStat];
-            enemy[chosenStat] = Math.max(0, enemy[chosenStat] - unit.trick);
-            this.logCallback(`${unit.name}'s trick lowers ${enemy.name}'s ${chosenStat} from ${orig} to ${enemy[chosenStat]}!`);
-          }
-        }
-        if (unit.burn) {
-          enemy.statusEffects.burn = { damage: unit.burn, duration: 3 };
-          this.logCallback(`${enemy.name} is burning for ${unit.burn} damage for 3 turns!`);
-        }
-        if (unit.sluj) {
-          if (!enemy.statusEffects.sluj) enemy.statusEffects.sluj = { level: unit.sluj, duration: 4, counter: 0 };
-          else {
-            enemy.statusEffects.sluj.level += unit.sluj;
-            enemy.statusEffects.sluj.duration = 4;
-          }
-          this.logCallback(`${enemy.name} is afflicted with slüj (level ${enemy.statusEffects.sluj.level}) for 4 turns!`);
-        }
-        if (unit.yeet && unit.yeet > 0) {
-          applyKnockback(enemy, dx, dy, unit.yeet, unit.attack, this.battlefield, this.logCallback, this.isWithinBounds.bind(this));
-        }
-        if (unit.chain) {
-          const effectiveMultiplier = 1 - Math.exp(-unit.chain / 10);
-          const initialChainDamage = Math.round(unit.attack * effectiveMultiplier);
-          if (initialChainDamage > 0) {
-            this.logCallback(`${enemy.name} takes ${initialChainDamage} chain damage!`);
-            this.applyChainDamage(enemy, initialChainDamage, effectiveMultiplier, new Set());
-          }
-        }
-        // Check for adjacent heroes with a non-zero "bomba" stat
-        const adjacentOffsets = [
-          { x: -1, y: 0 }, { x: 1, y: 0 },
-          { x: 0, y: -1 }, { x: 0, y: 1 }
-        ];
-        adjacentOffsets.forEach(offset => {
-          const adjX = enemy.x + offset.x, adjY = enemy.y + offset.y;
-          const adjacentHero = this.getLiveHeroes().find(h => h.x === adjX && h.y === adjY && h.bomba && h.bomba > 0);
-          if (adjacentHero) {
-            enemy.hp -= adjacentHero.bomba;
-            this.logCallback(`${adjacentHero.name}'s bomba deals ${adjacentHero.bomba} additional damage to ${enemy.name}! (HP left: ${enemy.hp})`);
-          }
-        });
-        // Check for enemy defeat
-        if (enemy.hp <= 0) {
-          this.logCallback(`${enemy.name} is defeated!`);
-          this.battlefield[enemy.y][enemy.x] = '.';
-          this.enemies = this.enemies.filter(e => e !== enemy);
-        }
-        this.awaitingAttackDirection = false;
-        await this.shortPause();
-        this.nextTurn();
+        this.strikeEnemy(unit, enemy, dx, dy);
+        this.finishAction();
+        return;
+      }
+      const obstacle = this.getObstacleAt(targetX, targetY);
+      if (obstacle) {
+        this.damageObstacle(obstacle, unit);
+        this.finishAction();
         return;
       }
-      if (this.battlefield[targetY][targetX] === 'ᚙ' || this.battlefield[targetY][targetX] === '█') {
-        this.wallHP -= unit.attack;
-        this.logCallback(`${unit.name} attacks the wall for ${unit.attack} damage! (Wall HP: ${this.wallHP})`);
+      const wall = this.getWallAt(targetX, targetY);
+      if (wall) {
         this.awaitingAttackDirection = false;
-        if (this.wallHP <= 0 && !this.transitioningLevel) {
-          this.handleWallCollapse();
-          return;
-        }
-        await this.shortPause();
-        this.nextTurn();
+        if (this.damageWall(wall, unit)) return;
+        this.finishAction();
         return;
       }
+      // Locked doors stop attacks.
+      if (this.getDoorAt(targetX, targetY)) break;
+    }
+    this.emit('attackMissed', { unit, reason: 'outOfRange' });
+    this.finishAction();
+  }
+
+  // A hero's attack on a hero or ally: heal or psych it, or nothing at all.
+  supportAlly(unit, ally) {
+    if (unit.heal && unit.heal > 0) {
+      this.healUnit(unit, ally, unit.heal);
+    } else if (unit.psych && unit.psych > 0) {
+      const stats = getCoreStatKeys();
+      const randomStat = this.rng.pick(stats);
+      this.changeStat(ally, randomStat, unit.psych, 'psych', unit);
+    } else {
+      this.emit('attackIneffective', { unit, target: ally });
+    }
+  }
+
+  /**
+   * A hero's attack landing on an enemy, with everything the hero's stats add to it
+   * (chain, trick, on-hit statuses, knockback, bomba).
+   * @param {Object} unit - The attacking hero.
+   * @param {Object} enemy - The enemy hit.
+   * @param {number} dx - Direction of the attack, for knockback.
+   * @param {number} dy
+   * @returns {Object} The damage result of the hit.
+   */
+  strikeEnemy(unit, enemy, dx, dy) {
+    const hit = this.dealDamage(enemy, unit.attack, { source: unit, kind: 'attack' });
+    // A dodged attack skips the rest of the attack logic.
+    if (hit.dodged) return hit;
+    // Chain damage spreads from the target's cell even when the hit defeats it.
+    if (unit.chain) {
+      const effectiveMultiplier = 1 - Math.exp(-unit.chain / 10);
+      const initialChainDamage = Math.round(unit.attack * effectiveMultiplier);
+      if (initialChainDamage > 0) {
+        this.emit('chainTriggered', { target: enemy, amount: initialChainDamage, propagation: false });
+        this.applyChainDamage(enemy, initialChainDamage, effectiveMultiplier, new Set());
+      }
     }
-    this.logCallback(`${unit.name} attacks, but nothing is in range.`);
+    // The remaining effects only apply to a target that is still standing.
+    if (hit.defeated) return hit;
+    if (unit.trick > 0) {
+      const debuffableStats = getCoreStatKeys();
+      const availableStats = debuffableStats.filter(stat => typeof enemy[stat] === "number");
+      if (availableStats.length > 0) {
+        const chosenStat = this.rng.pick(availableStats);
+        const lowered = Math.max(0, enemy[chosenStat] - unit.trick);
+        this.changeStat(enemy, chosenStat, lowered - enemy[chosenStat], 'trick', unit);
+      }
+    }
+    this.applyOnHitStatuses(unit, enemy);
+    if (unit.yeet && unit.yeet > 0) {
+      applyKnockback(enemy, dx, dy, unit.yeet, unit.attack, this.battlefield, this.emit.bind(this), this.dealDamage.bind(this), unit);
+    }
+    // Check for adjacent heroes with a non-zero "bomba" stat
+    const adjacentOffsets = [
+      { x: -1, y: 0 }, { x: 1, y: 0 },
+      { x: 0, y: -1 }, { x: 0, y: 1 }
+    ];
+    adjacentOffsets.forEach(offset => {
+      if (!this.isEnemy(enemy)) return;
+      const adjX = enemy.x + offset.x, adjY = enemy.y + offset.y;
+      const adjacentHero = this.getHeroAt(adjX, adjY);
+      if (adjacentHero && adjacentHero.bomba && adjacentHero.bomba > 0) {
+        this.dealDamage(enemy, adjacentHero.bomba, { source: adjacentHero, kind: 'bomba' });
+      }
+    });
+    return hit;
+  }
+
+  /**
+   * Puts the active hero into cursor mode: the cursor starts on the nearest enemy in
+   * range (or the hero's own cell) and is moved with moveCursor.
+   */
+  beginTargeting() {
+    if (this.deployment || this.transitioningLevel || this.resolvingAction) return;
+    const unit = this.party[this.currentUnit];
+    if (!unit || unit.persistentDeath) return;
     this.awaitingAttackDirection = false;
-    await this.shortPause();
-    this.nextTurn();
+    this.pendingThrow = null;
+    this.pendingAbility = false;
+    const nearest = this.enemies
+      .filter(enemy => this.isEnemy(enemy) && getDistance(unit, enemy) <= unit.range)
+      .sort((a, b) => getDistance(unit, a) - getDistance(unit, b))[0];
+    this.targetCursor = nearest ? { x: nearest.x, y: nearest.y } : { x: unit.x, y: unit.y };
+    this.emit('targetingStarted', { unit, area: getHeroArea(unit).shape });
+  }
+
+  // Leaves cursor mode without attacking.
+  cancelTargeting() {
+    if (!this.targetCursor) return;
+    this.targetCursor = null;
+    this.emit('targetingCancelled', { unit: this.party[this.currentUnit] });
+  }
+
+  /**
+   * Moves the targeting cursor one cell; it stays on the field and within the hero's range.
+   * @param {number} dx - Direction of the move.
+   * @param {number} dy
+   */
+  moveCursor(dx, dy) {
+    if (!this.targetCursor) return;
+    const unit = this.party[this.currentUnit];
+    const cell = { x: this.targetCursor.x + dx, y: this.targetCursor.y + dy };
+    if (!this.isWithinBounds(cell.x, cell.y) || getDistance(unit, cell) > unit.range) return;
+    this.targetCursor = cell;
+    this.emit('cursorMoved', { unit, x: cell.x, y: cell.y });
+  }
+
+  /**
+   * Works out what a cursor attack at a cell would hit. Cells off the field are dropped;
+   * shots stop at terrain (walls, obstacles, doors), so single, blast and cone attacks need
+   * a clear line to the aimed cell, a cone leaves out the cells behind terrain as seen from
+   * the hero, a blast those behind terrain as seen from its centre (a blast aimed at terrain
+   * hits only that cell), and a piercing line ends at the first terrain cell.
+   * Single attacks hit whatever is on the aimed cell; area attacks hit every enemy in the
+   * area and spare heroes and allies.
+   * @param {{x: number, y: number}} [cell] - The aimed cell; defaults to the cursor.
+   * @returns {{cells: Array, targets: Array, valid: boolean, reason?: string}} The covered
+   *   cells, the units and terrain hit, and whether the attack can go ahead; otherwise
+   *   `reason` is 'outOfRange', 'blocked' or 'noTarget'.
+   */
+  getTargetPreview(cell = this.targetCursor) {
+    const unit = this.party[this.currentUnit];
+    if (!unit || !cell) return { cells: [], targets: [], valid: false, reason: 'noTarget' };
+    const distance = getDistance(unit, cell);
+    if (distance === 0 || distance > unit.range) return { cells: [], targets: [], valid: false, reason: 'outOfRange' };
+    const shape = getHeroArea(unit).shape;
+    let cells = getAreaCells(unit, cell).filter(c => this.isWithinBounds(c.x, c.y));
+    if (shape === 'pierce') {
+      const stop = cells.findIndex(c => this.battlefield.getTerrain(c.x, c.y));
+      if (stop >= 0) cells = cells.slice(0, stop);
+    } else {
+      const blockedLine = (from, to) => getLineCells(from, to).slice(0, -1).some(c => this.battlefield.getTerrain(c.x, c.y));
+      if (blockedLine(unit, cell)) return { cells, targets: [], valid: false, reason: 'blocked' };
+      // A cone only reaches the cells the hero has a clear line to, a blast those its centre
+      // has; a blast bursting against terrain stays in that cell.
+      if (shape === 'cone') cells = cells.filter(c => !blockedLine(unit, c));
+      if (shape === 'blast') {
+        const burst = !this.battlefield.getTerrain(cell.x, cell.y);
+        cells = cells.filter(c => (c.x === cell.x && c.y === cell.y) || (burst && !blockedLine(cell, c)));
+      }
+    }
+    let targets;
+    if (shape === 'single') {
+      const target = this.battlefield.getUnitAt(cell.x, cell.y) || this.getObstacleAt(cell.x, cell.y) || this.getWallAt(cell.x, cell.y);
+      targets = target && target !== unit ? [target] : [];
+    } else {
+      targets = cells.map(c => this.getEnemyAt(c.x, c.y)).filter(Boolean);
+    }
+    return targets.length > 0 ? { cells, targets, valid: true } : { cells, targets, valid: false, reason: 'noTarget' };
+  }
+
+  /**
+   * Attacks at the cursor with the hero's area shape. An attack that would hit nothing
+   * is refused and the hero stays in cursor mode. A confused hero may hit a cell next
+   * to the one aimed at.
+   */
+  confirmTarget() {
+    if (!this.targetCursor || this.transitioningLevel || this.resolvingAction) return;
+    const unit = this.party[this.currentUnit];
+    let preview = this.getTargetPreview();
+    if (!preview.valid) {
+      this.emit('targetRefused', { unit, reason: preview.reason });
+      return;
+    }
+    let cell = this.targetCursor;
+    const [offsetX, offsetY] = this.getConfusedDirection(unit, 0, 0);
+    if (offsetX || offsetY) {
+      cell = { x: cell.x + offsetX, y: cell.y + offsetY };
+      preview = this.getTargetPreview(cell);
+    }
+    this.targetCursor = null;
+    const shape = getHeroArea(unit).shape;
+    this.emit('targetAttack', { unit, shape, x: cell.x, y: cell.y, targets: preview.targets });
+    if (!preview.valid) {
+      this.emit('attackMissed', { unit, reason: 'confused' });
+      this.finishAction();
+      return;
+    }
+    for (const target of preview.targets) {
+      // Knockback pushes straight away from the hero.
+      const dx = Math.sign(target.x - unit.x), dy = Math.sign(target.y - unit.y);
+      if (this.isEnemy(target)) {
+        this.strikeEnemy(unit, target, dx, dy);
+      } else if (this.isHero(target) || this.isAlly(target)) {
+        this.supportAlly(unit, target);
+      } else if (target.kind === 'obstacle') {
+        this.damageObstacle(target, unit);
+      } else if (target.kind === 'wall') {
+        // A finished level leaves no action to finish.
+        if (this.damageWall(target, unit)) return;
+      }
+      if (this.transitioningLevel) return;
+    }
+    this.finishAction();
   }
 
   applyChainDamage(enemy, damage, effectiveMultiplier, visited = new Set()) {
@@ -388,180 +1370,377 @@ export class BattleEngine {
     for (let offset of adjacentOffsets) {
       const adjX = enemy.x + offset.x, adjY = enemy.y + offset.y;
       if (!this.isWithinBounds(adjX, adjY)) continue;
-      const adjacentEnemy = this.enemies.find(e => e.x === adjX && e.y === adjY);
+      const adjacentEnemy = this.getEnemyAt(adjX, adjY);
       if (adjacentEnemy && !visited.has(adjacentEnemy)) {
-        adjacentEnemy.hp -= damage;
-        this.logCallback(`${adjacentEnemy.name} takes ${damage} chain damage! (HP left: ${adjacentEnemy.hp})`);
-        if (adjacentEnemy.hp <= 0) {
-          this.logCallback(`${adjacentEnemy.name} is defeated by chain damage!`);
-          this.battlefield[adjY][adjX] = '.';
-          this.enemies = this.enemies.filter(e => e !== adjacentEnemy);
-        }
+        this.dealDamage(adjacentEnemy, damage, { source: enemy, kind: 'chain' });
         const nextDamage = Math.round(damage * effectiveMultiplier);
         if (nextDamage > 0 && nextDamage < damage) {
-          this.logCallback(`${adjacentEnemy.name} takes ${nextDamage} chain propagation damage!`);
+          this.emit('chainTriggered', { target: adjacentEnemy, amount: nextDamage, propagation: true });
           this.applyChainDamage(adjacentEnemy, nextDamage, effectiveMultiplier, visited);
         }
       }
     }
   }
 
-  enemyTurn() {
+  // An escorted ally's turn on the timeline: it walks towards its exit.
+  allyTurn(ally) {
+    if (!this.startUnitTurn(ally)) return;
+    const moves = this.getMoves(ally);
+    for (let move = 0; move < moves; move++) this.stepTowards(ally, [ally.destination]);
+  }
+
+  // One enemy's turn on the timeline: status effects tick, then it moves and attacks.
+  enemyTurn(enemy) {
     if (this.transitioningLevel) return;
-    this.enemies.forEach(enemy => {
-      for (let moves = 0; moves < enemy.agility; moves++) this.moveEnemy(enemy);
-      this.enemyAttackAdjacent(enemy);
-      
-      // Apply the slüj effect for each enemy.
-      if (enemy.statusEffects.sluj) {
-        applySlujEffect(enemy, this.logCallback);
-      }
-      
-      // Kill logic for enemies affected by slüj damage.
-      if (enemy.hp <= 0 && enemy.statusEffects.sluj && enemy.statusEffects.sluj.level > 0) {
-        this.logCallback(`${enemy.name} is defeated by its slüj effect!`);
-        this.battlefield[enemy.y][enemy.x] = '.';
-        this.enemies = this.enemies.filter(e => e !== enemy);
-        return;
+    this.emit('enemyTurnStarted', { unit: enemy });
+    if (this.startUnitTurn(enemy)) {
+      const moves = this.getMoves(enemy);
+      for (let move = 0; move < moves; move++) this.moveEnemy(enemy);
+      this.enemyAttackInRange(enemy);
+
+      if (this.isEnemy(enemy) && Array.isArray(enemy.dialogue) && enemy.dialogue.length > 0) {
+        this.emit('enemySpoke', { unit: enemy, line: this.rng.pick(enemy.dialogue) });
       }
-      
-      if (Array.isArray(enemy.dialogue) && enemy.dialogue.length > 0) {
-        this.logCallback(`${enemy.name} says: "${enemy.dialogue[Math.floor(Math.random() * enemy.dialogue.length)]}"`);
+    }
+    this.emit('enemyTurnEnded', { unit: enemy });
+  }
+
+  moveEnemy(enemy) {
+    if (getActiveStatuses(enemy).some(({ definition }) => definition.confuses)) {
+      // A confused enemy stumbles in a random direction.
+      const [stepX, stepY] = this.rng.pick([[0, -1], [0, 1], [-1, 0], [1, 0]]);
+      if (this.canMove(enemy.x + stepX, enemy.y + stepY)) {
+        const from = { x: enemy.x, y: enemy.y };
+        this.battlefield.moveUnit(enemy, enemy.x + stepX, enemy.y + stepY);
+        this.emit('unitMoved', { unit: enemy, from, to: { x: enemy.x, y: enemy.y } });
+      }
+      return;
+    }
+    const plan = getBehavior(enemy).plan(this, enemy);
+    if (plan.action === 'approach') this.stepTowards(enemy, plan.goals);
+    else if (plan.action === 'retreat') this.stepAwayFrom(enemy, plan.from);
+    else if (plan.action === 'backOff') this.stepAwayKeepingAim(enemy);
+  }
+
+  // Takes one step along the shortest path to the nearest goal. When other units block
+  // every path, the enemy still steps forward along the path that ignores them.
+  stepTowards(enemy, goals) {
+    const bounds = { rows: this.rows, cols: this.cols };
+    const path = findPath(enemy, goals, (x, y) => this.canMove(x, y), bounds)
+      || findPath(enemy, goals, (x, y) => !this.battlefield.getTerrain(x, y), bounds);
+    if (!path || path.length === 0 || !this.canMove(path[0].x, path[0].y)) return;
+    const from = { x: enemy.x, y: enemy.y };
+    this.battlefield.moveUnit(enemy, path[0].x, path[0].y);
+    this.emit('unitMoved', { unit: enemy, from, to: { x: enemy.x, y: enemy.y } });
+  }
+
+  // Steps to the neighbouring cell farthest from the given units, if that gains distance.
+  stepAwayFrom(enemy, threats) {
+    if (threats.length === 0) return;
+    const spacing = (x, y) => Math.min(...threats.map(unit => Math.abs(unit.x - x) + Math.abs(unit.y - y)));
+    let best = null, bestSpacing = spacing(enemy.x, enemy.y);
+    [[0, -1], [0, 1], [-1, 0], [1, 0]].forEach(([dx, dy]) => {
+      const x = enemy.x + dx, y = enemy.y + dy;
+      if (this.canMove(x, y) && spacing(x, y) > bestSpacing) {
+        best = { x, y };
+        bestSpacing = spacing(x, y);
       }
     });
-    this.logCallback('Enemy turn completed.');
+    if (!best) return;
+    const from = { x: enemy.x, y: enemy.y };
+    this.battlefield.moveUnit(enemy, best.x, best.y);
+    this.emit('unitMoved', { unit: enemy, from, to: { x: enemy.x, y: enemy.y } });
   }
 
-  moveEnemy(enemy) {
-    const targetHero = this.findClosestHero(enemy);
-    if (!targetHero) return;
-    const dx = targetHero.x - enemy.x, dy = targetHero.y - enemy.y;
-    let stepX = 0, stepY = 0;
-    if (Math.abs(dx) >= Math.abs(dy))
-      stepX = dx > 0 ? 1 : dx < 0 ? -1 : 0;
-    else
-      stepY = dy > 0 ? 1 : dy < 0 ? -1 : 0;
-    if (!this.canMove(enemy.x + stepX, enemy.y + stepY)) {
-      if (stepX !== 0 && this.canMove(enemy.x, enemy.y + Math.sign(dy))) {
-        stepY = dy > 0 ? 1 : -1;
-        stepX = 0;
-      } else if (stepY !== 0 && this.canMove(enemy.x + Math.sign(dx), enemy.y)) {
-        stepX = dx > 0 ? 1 : -1;
-        stepY = 0;
-      }
-    }
-    const newX = enemy.x + stepX, newY = enemy.y + stepY;
-    if (this.canMove(newX, newY)) {
-      this.battlefield[enemy.y][enemy.x] = '.';
-      enemy.x = newX;
-      enemy.y = newY;
-      this.battlefield[newY][newX] = enemy.symbol;
-    }
-  }
-
-  findClosestHero(enemy) {
-    const liveHeroes = this.getLiveHeroes();
-    if (liveHeroes.length === 0) return null;
-    return liveHeroes.reduce((closest, hero) => {
-      const dCurrent = Math.abs(closest.x - enemy.x) + Math.abs(closest.y - enemy.y);
-      const dHero = Math.abs(hero.x - enemy.x) + Math.abs(hero.y - enemy.y);
-      return (dHero < dCurrent ? hero : closest);
+  /**
+   * Lists the cells an enemy could attack one of the given heroes from: open cells (or
+   * the enemy's own) with a clear line to the hero within the enemy's range. This is the
+   * reverse of findLineTargets.
+   * @param {Object} enemy - The enemy.
+   * @param {Array} heroes - The heroes it wants to attack.
+   * @returns {Array<{x: number, y: number}>} The cells, without duplicates.
+   */
+  getAttackPositions(enemy, heroes) {
+    const range = this.getAttackRange(enemy);
+    const cells = new Map();
+    heroes.forEach(hero => {
+      [[0, -1], [0, 1], [-1, 0], [1, 0]].forEach(([dx, dy]) => {
+        for (let i = 1; i <= range; i++) {
+          const x = hero.x + dx * i, y = hero.y + dy * i;
+          if (!this.isWithinBounds(x, y) || this.battlefield.getTerrain(x, y)) return;
+          const unit = this.battlefield.getUnitAt(x, y);
+          if (unit && unit !== enemy) return;
+          cells.set(`${x},${y}`, { x, y });
+        }
+      });
     });
+    return [...cells.values()];
   }
 
   canMove(x, y) {
     return this.isWithinBounds(x, y) && this.isCellPassable(x, y);
   }
-  
-  enemyAttackAdjacent(enemy) {
-    const directions = [[0, -1], [0, 1], [-1, 0], [1, 0]];
-    // Use only live heroes when determining targets.
-    directions.forEach(([dx, dy]) => {
-      const tx = enemy.x + dx, ty = enemy.y + dy;
-      const targetHero = this.getLiveHeroes().find(hero => hero.x === tx && hero.y === ty);
-      if (targetHero) {
-         // DODGE CHECK START
-        let dodgeChance = targetHero.dodge / (100 + targetHero.dodge);
-        dodgeChance = Math.min(dodgeChance, 0.5);
-        if (Math.random() < dodgeChance) {
-          this.logCallback(`${targetHero.name} dodges ${enemy.name}'s attack!`);
-          return;
-        }
-        // DODGE CHECK END
-        if (targetHero.armor && targetHero.armor > 0) {
-          targetHero.armor--;
-          this.logCallback(`${enemy.name} attacks ${targetHero.name} but their armor absorbs it (Remaining Armor: ${targetHero.armor})`);
-        } else {
-          targetHero.hp -= enemy.attack;
-          this.logCallback(`${enemy.name} attacks ${targetHero.name} for ${enemy.attack} damage! (HP left: ${targetHero.hp})`);
-        }
-        if (targetHero.hp <= 0) {
-          this.handleHeroDeath(targetHero);
-          if (this.currentUnit >= this.party.length)
-            this.currentUnit = 0;
-        } else if (targetHero.rage && targetHero.rage > 0) {
-          const stats = ['attack', 'range', 'agility', 'hp'];
-          const randomStat = stats[Math.floor(Math.random() * stats.length)];
-          if (targetHero.hasOwnProperty(randomStat)) {
-            targetHero[randomStat] += targetHero.rage;
-            this.logCallback(`${targetHero.name}'s rage boosts ${randomStat} by ${targetHero.rage} (Now: ${targetHero[randomStat]})`);
-          }
-        }
+
+  // Enemies without a range stat fight in melee.
+  getAttackRange(enemy) {
+    return typeof enemy.range === 'number' ? enemy.range : 1;
+  }
+
+  /**
+   * Finds the live heroes (and escorted allies) an enemy could shoot from a cell: the first unit along each
+   * of the four directions, within the enemy's range. Terrain and any other unit in
+   * between block the line.
+   * @param {Object} enemy - The attacking enemy.
+   * @param {number} [x] - The cell to shoot from (defaults to the enemy's cell).
+   * @param {number} [y]
+   * @returns {Array} The heroes in line of sight, at most one per direction.
+   */
+  findLineTargets(enemy, x = enemy.x, y = enemy.y) {
+    const range = this.getAttackRange(enemy);
+    const targets = [];
+    [[0, -1], [0, 1], [-1, 0], [1, 0]].forEach(([dx, dy]) => {
+      for (let i = 1; i <= range; i++) {
+        const tx = x + dx * i, ty = y + dy * i;
+        if (!this.isWithinBounds(tx, ty) || this.battlefield.getTerrain(tx, ty)) return;
+        const unit = this.battlefield.getUnitAt(tx, ty);
+        if (!unit || unit === enemy) continue;
+        if (this.isHero(unit) || this.isAlly(unit)) targets.push(unit);
+        return;
       }
     });
+    return targets;
+  }
+
+  isNextToHero(x, y) {
+    return [[0, -1], [0, 1], [-1, 0], [1, 0]].some(([dx, dy]) => this.getHeroAt(x + dx, y + dy));
+  }
+
+  // Steps a ranged enemy to a neighbouring cell that keeps a hero in its sights without
+  // standing next to one; stays put when there is no such cell.
+  stepAwayKeepingAim(enemy) {
+    const step = [[0, -1], [0, 1], [-1, 0], [1, 0]].find(([dx, dy]) => {
+      const x = enemy.x + dx, y = enemy.y + dy;
+      return this.canMove(x, y) && !this.isNextToHero(x, y) && this.findLineTargets(enemy, x, y).length > 0;
+    });
+    if (!step) return;
+    const from = { x: enemy.x, y: enemy.y };
+    this.battlefield.moveUnit(enemy, enemy.x + step[0], enemy.y + step[1]);
+    this.emit('unitMoved', { unit: enemy, from, to: { x: enemy.x, y: enemy.y } });
+  }
+
+  // Attacks every live hero in the enemy's line of sight (see findLineTargets).
+  enemyAttackInRange(enemy) {
+    const directions = [[0, -1], [0, 1], [-1, 0], [1, 0]];
+    if (getActiveStatuses(enemy).some(({ definition }) => definition.confuses)) {
+      // A confused enemy lashes out at one random neighbour, friend or foe.
+      const [dx, dy] = this.getConfusedDirection(enemy, ...this.rng.pick(directions));
+      const target = this.battlefield.getUnitAt(enemy.x + dx, enemy.y + dy);
+      if (target) this.enemyAttack(enemy, target);
+      return;
+    }
+    this.findLineTargets(enemy).forEach(target => {
+      // A target may have fallen to an earlier shot this turn.
+      if ((this.isHero(target) && !target.persistentDeath) || this.isAlly(target)) this.enemyAttack(enemy, target);
+    });
+  }
+
+  enemyAttack(enemy, target) {
+    // Rage boosts are applied by the built-in on-hit hook (applyRage).
+    const result = this.dealDamage(target, enemy.attack, { source: enemy, kind: 'attack' });
+    if (!result.dodged && !result.absorbed && !result.defeated) this.applyOnHitStatuses(enemy, target);
   }
 
   nextTurn() {
     if (this.transitioningLevel) return;
-    this.applyStatusEffects();
     this.applySwarmDamage();
-    const liveHeroes = this.getLiveHeroes();
-    if (liveHeroes.length === 0) {
-      this.logCallback('All heroes defeated! Game Over.');
-      if (typeof this.onGameOver === 'function') this.onGameOver();
-      return;
-    }
     this.awaitingAttackDirection = false;
-    do {
-      this.currentUnit++;
-      if (this.currentUnit >= this.party.length) {
-        this.currentUnit = 0;
-        this.logCallback('Enemy turn begins.');
-        this.enemyTurn();
-        this.applyStatusEffects();
-        if (this.getLiveHeroes().length === 0) {
-          this.logCallback('All heroes defeated! Game Over.');
-          if (typeof this.onGameOver === 'function') this.onGameOver();
-          return;
-        }
+    this.pendingThrow = null;
+    this.pendingAbility = false;
+    this.targetCursor = null;
+    this.advanceInitiative();
+  }
+
+  // Runs the timeline until a hero who can act is up; stunned heroes lose their turn.
+  advanceInitiative() {
+    while (true) {
+      if (this.checkObjectives() || this.checkGameOver()) return;
+      this.checkWaveCleared();
+      const unit = this.takeNextInitiative();
+      // A new round may complete a survive objective.
+      if (this.checkObjectives()) return;
+      if (this.isEnemy(unit)) {
+        this.enemyTurn(unit);
+        if (this.transitioningLevel) return;
+        continue;
+      }
+      if (this.isAlly(unit)) {
+        this.allyTurn(unit);
+        continue;
       }
-    } while(this.party[this.currentUnit].persistentDeath);
-    this.movePoints = this.party[this.currentUnit].agility;
-    this.logCallback(`Now it's ${this.party[this.currentUnit].name}'s turn.`);
+      this.currentUnit = this.party.indexOf(unit);
+      this.tickAbilityCooldown(unit);
+      if (this.startUnitTurn(unit)) break;
+    }
+    this.movePoints = this.getMoves(this.party[this.currentUnit]);
+    this.emit('turnStarted', { unit: this.party[this.currentUnit], movePoints: this.movePoints });
   }
 
-  applyStatusEffects() {
-    this.getLiveHeroes().forEach(hero => {
-      if (hero.statusEffects.burn && hero.statusEffects.burn.duration > 0) {
-        this.logCallback(`${hero.name} takes ${hero.statusEffects.burn.damage} burn damage!`);
-        hero.hp -= hero.statusEffects.burn.damage;
-        hero.statusEffects.burn.duration--;
-        if (hero.hp <= 0) this.handleHeroDeath(hero);
+  /**
+   * Lists the live heroes, allies and enemies in initiative order: highest agility first,
+   * heroes before allies before enemies on ties, then party and level order.
+   * @returns {Array} The units of one round.
+   */
+  getInitiativeOrder() {
+    const units = [...this.getLiveHeroes(), ...this.allies, ...this.enemies.filter(enemy => this.isEnemy(enemy))];
+    return units.sort((a, b) => (b.agility || 0) - (a.agility || 0));
+  }
+
+  // Picks the unit that acts next, starting a new round once every unit has acted.
+  takeNextInitiative() {
+    let waiting = this.getInitiativeOrder().filter(unit => !this.actedThisRound.has(unit));
+    if (this.round === 0 || waiting.length === 0) {
+      this.round++;
+      this.actedThisRound.clear();
+      this.regenerateWall();
+      this.continueRestPhase();
+      waiting = this.getInitiativeOrder();
+      this.emit('roundStarted', { round: this.round, order: waiting });
+    }
+    this.actedThisRound.add(waiting[0]);
+    return waiting[0];
+  }
+
+  /**
+   * Lists the upcoming turns for the battle HUD: the hero acting now, the units still
+   * waiting this round, then the following rounds.
+   * @param {number} [count] - How many turns to list.
+   * @returns {Array} The units in the order they will act.
+   */
+  getUpcomingTurns(count = 8) {
+    const order = this.getInitiativeOrder();
+    if (order.length === 0) return [];
+    const active = this.party[this.currentUnit];
+    const turns = active && !active.persistentDeath && this.actedThisRound.has(active) ? [active] : [];
+    turns.push(...order.filter(unit => !this.actedThisRound.has(unit)));
+    while (turns.length < count) turns.push(...order);
+    return turns.slice(0, count);
+  }
+
+  /**
+   * Called between turns: once the field is clear and more waves are left, completes
+   * the wave and starts the rest phase, or sends the next wave straight away.
+   */
+  checkWaveCleared() {
+    if (this.waveNumber >= this.totalWaves || this.resting) return;
+    if (this.enemies.some(enemy => this.isEnemy(enemy))) return;
+    this.emit('waveComplete', { waveNumber: this.waveNumber, waves: this.totalWaves });
+    if (typeof this.levelSettings.onWaveComplete === 'function') this.levelSettings.onWaveComplete(this.waveNumber, this);
+    const rest = this.levelSettings.restPhase;
+    if (!rest || rest.rounds <= 0) {
+      this.spawnNextWave();
+      return;
+    }
+    this.resting = true;
+    this.restRoundsLeft = rest.rounds;
+    this.getLiveHeroes().forEach(hero => { hero.hp += rest.heal; });
+    this.emit('restStarted', { rounds: rest.rounds, heal: rest.heal });
+  }
+
+  // Counts down the rest phase at the start of each round; the next wave arrives once
+  // the rest rounds are over.
+  continueRestPhase() {
+    if (!this.resting) return;
+    if (this.restRoundsLeft > 0) {
+      this.restRoundsLeft--;
+      return;
+    }
+    this.resting = false;
+    this.spawnNextWave();
+  }
+
+  // Generates the next wave and places it, moving enemies whose cell is taken to a free one.
+  spawnNextWave() {
+    this.waveNumber++;
+    const wave = this.levelSettings.generateWave(this.waveNumber);
+    wave.forEach(enemy => {
+      if (!this.battlefield.isEmpty(enemy.x, enemy.y) || enemy.y === this.rows - 1) {
+        const cells = this.battlefield.getEmptyCells({ excludeBottomRow: true });
+        if (cells.length === 0) return;
+        const cell = this.rng.pick(cells);
+        enemy.x = cell.x;
+        enemy.y = cell.y;
       }
+      this.addEnemy(enemy);
     });
-    this.enemies.forEach(enemy => {
-      if (enemy.statusEffects.burn && enemy.statusEffects.burn.duration > 0) {
-        this.logCallback(`${enemy.name} takes ${enemy.statusEffects.burn.damage} burn damage!`);
-        enemy.hp -= enemy.statusEffects.burn.damage;
-        enemy.statusEffects.burn.duration--;
-        if (enemy.hp <= 0) {
-          this.logCallback(`${enemy.name} died from burn damage!`);
-          this.battlefield[enemy.y][enemy.x] = '.';
-          this.enemies = this.enemies.filter(e => e !== enemy);
-        }
-      }
-      // The slüj effect is handled via the imported applySlujEffect() in enemyTurn().
+    this.emit('waveStarted', { waveNumber: this.waveNumber, waves: this.totalWaves, enemies: wave.filter(enemy => this.isEnemy(enemy)) });
+  }
+
+  // Puts an enemy that joins mid-battle (later waves, boss adds) on its cell.
+  addEnemy(enemy) {
+    this.prepareEnemy(enemy);
+    this.enemies.push(enemy);
+    this.battlefield.placeUnit(enemy, enemy.x, enemy.y);
+    if (enemy.shield && enemy.shield > 0) this.applyStatus(enemy, 'shield', { potency: enemy.shield });
+  }
+
+  // Live bosses, for the boss HP bar.
+  getBosses() {
+    return this.enemies.filter(enemy => this.isEnemy(enemy) && isBoss(enemy));
+  }
+
+  // Starts every phase whose HP threshold a boss has fallen to, in order.
+  checkBossPhases(boss) {
+    if (!this.isEnemy(boss) || !boss.phases) return;
+    while (boss.phase < boss.phases.length && boss.hp <= boss.maxHp * boss.phases[boss.phase].below) {
+      const phase = boss.phases[boss.phase];
+      boss.phase++;
+      this.enterBossPhase(boss, phase);
+    }
+  }
+
+  enterBossPhase(boss, phase) {
+    this.emit('bossPhaseStarted', { unit: boss, phase: boss.phase + 1, phases: boss.phases.length + 1 });
+    if (phase.say) this.emit('enemySpoke', { unit: boss, line: phase.say });
+    Object.keys(phase.stats || {}).forEach(stat => {
+      this.changeStat(boss, stat, phase.stats[stat] - (boss[stat] || 0), 'bossPhase');
     });
+    if (phase.behavior) boss.behavior = phase.behavior;
+    if (Array.isArray(phase.dialogue)) boss.dialogue = phase.dialogue;
+    if (phase.battlefield) this.reshapeBattlefield(boss, phase.battlefield);
+    (phase.spawn || []).forEach(definition => this.summonEnemy(boss, definition));
+    if (typeof phase.onEnter === 'function') phase.onEnter(this, boss, phase);
+  }
+
+  // Places an add on the free cell closest to its summoner.
+  summonEnemy(summoner, definition) {
+    const cells = this.battlefield.getEmptyCells({ excludeBottomRow: true });
+    if (cells.length === 0) return;
+    const distance = cell => Math.abs(cell.x - summoner.x) + Math.abs(cell.y - summoner.y);
+    const cell = cells.reduce((closest, other) => (distance(other) < distance(closest) ? other : closest));
+    const enemy = { ...definition, x: cell.x, y: cell.y };
+    this.addEnemy(enemy);
+    this.emit('enemySummoned', { unit: enemy, summoner });
+  }
+
+  // Raises and clears obstacles for a boss phase. Obstacles only rise on empty cells
+  // above the wall row that no objective needs.
+  reshapeBattlefield(boss, { obstacles = [], clear = [] }) {
+    const exits = getObjectiveCells(this.objectives);
+    const raised = obstacles.filter(({ x, y }) => y < this.rows - 1 && this.battlefield.isEmpty(x, y) &&
+      !exits.some(cell => cell.x === x && cell.y === y));
+    raised.forEach(({ x, y, hp }) => this.battlefield.setTerrain(x, y, { kind: 'obstacle', x, y, hp, maxHp: hp }));
+    const cleared = clear.filter(({ x, y }) => this.isWithinBounds(x, y) && this.getObstacleAt(x, y));
+    cleared.forEach(({ x, y }) => this.battlefield.setTerrain(x, y, null));
+    if (raised.length > 0 || cleared.length > 0) this.emit('battlefieldChanged', { unit: boss, raised, cleared });
+  }
+
+  // Ends the battle when no hero is left standing or a required objective failed.
+  checkGameOver() {
+    const failed = this.objectives.find(objective => !objective.bonus && objective.status === 'failed');
+    if (this.getLiveHeroes().length > 0 && !failed) return false;
+    this.emit('gameOver', failed ? { reason: 'objectiveFailed', objective: failed } : { reason: 'heroesDefeated' });
+    if (typeof this.onGameOver === 'function') this.onGameOver();
+    return true;
   }
 
   applySwarmDamage() {
@@ -576,37 +1755,61 @@ export class BattleEngine {
         adjacentOffsets.forEach(offset => {
           const targetX = hero.x + offset.x, targetY = hero.y + offset.y;
           if (this.isWithinBounds(targetX, targetY)) {
-            const enemy = this.enemies.find(e => e.x === targetX && e.y === targetY);
-            if (enemy) {
-              enemy.hp -= hero.swarm;
-              this.logCallback(`${hero.name}'s swarm deals ${hero.swarm} damage to ${enemy.name} at (${targetX},${targetY}) (HP left: ${enemy.hp})`);
-              if (enemy.hp <= 0) {
-                this.logCallback(`${enemy.name} is defeated by swarm damage!`);
-                this.battlefield[targetY][targetX] = '.';
-                this.enemies = this.enemies.filter(e => e !== enemy);
-              }
-            }
+            const enemy = this.getEnemyAt(targetX, targetY);
+            if (enemy) this.dealDamage(enemy, hero.swarm, { source: hero, kind: 'swarm' });
           }
         });
       }
     });
   }
 
+  // Takes a defeated enemy off the field and out of the enemy list.
+  removeEnemy(enemy, cause) {
+    this.battlefield.removeUnit(enemy);
+    this.enemies = this.enemies.filter(e => e !== enemy);
+    this.emit('unitDefeated', { unit: enemy, side: 'enemy', cause });
+    this.dropLoot(enemy);
+  }
+
+  // Adds a defeated enemy's coins to the purse and drops its items where it fell, or on
+  // the nearest empty cell when that one is taken.
+  dropLoot(enemy) {
+    const { coins, items } = rollLoot(enemy, this.rng);
+    this.purse.coins += coins;
+    const dropped = items.filter(type => {
+      const cells = this.battlefield.isEmpty(enemy.x, enemy.y)
+        ? [{ x: enemy.x, y: enemy.y }]
+        : this.battlefield.getEmptyCells({ excludeBottomRow: true });
+      if (cells.length === 0) return false;
+      const distance = cell => Math.abs(cell.x - enemy.x) + Math.abs(cell.y - enemy.y);
+      const cell = cells.reduce((closest, other) => (distance(other) < distance(closest) ? other : closest));
+      this.battlefield.placeItem(this.createItem(type), cell.x, cell.y);
+      return true;
+    });
+    if (coins > 0 || dropped.length > 0) this.emit('lootDropped', { unit: enemy, coins, items: dropped, purse: this.purse.coins });
+  }
+
+  removeAlly(ally, cause) {
+    this.battlefield.removeUnit(ally);
+    this.allies = this.allies.filter(a => a !== ally);
+    this.emit('unitDefeated', { unit: ally, side: 'ally', cause });
+  }
+
   // Updated handleHeroDeath method to ensure a dead hero's cell is cleared.
-  handleHeroDeath(hero) {
+  handleHeroDeath(hero, cause = 'attack') {
     if (hero.rise > 0) {
-      this.logCallback(`Hero ${hero.name} falls but rises with ${hero.rise} HP!`);
       hero.hp = hero.rise;
       hero.rise = 0;
+      this.emit('heroRose', { unit: hero, hp: hero.hp });
       this.applyAnkhBoost();
       return;
     }
     if (hero.persistentDeath) return;
-    this.logCallback(`Hero ${hero.name} has fallen permanently. Applying persistent death and ankh effects...`);
     hero.statusEffects.death = true;
     hero.persistentDeath = new PersistentDeath();
     // Clear the cell so the dead hero is no longer represented on the battlefield.
-    this.battlefield[hero.y][hero.x] = '.';
+    this.battlefield.removeUnit(hero);
+    this.emit('unitDefeated', { unit: hero, side: 'hero', cause });
     // Optionally, remove the hero from future selections.
     // this.party = this.party.filter(h => h !== hero);
     this.applyAnkhBoost();
@@ -616,21 +1819,97 @@ export class BattleEngine {
   applyAnkhBoost() {
     this.getLiveHeroes().forEach(h => {
       if (h.ankh && typeof h.ankh === 'number' && h.ankh > 0) {
-        const stats = ['attack', 'hp', 'agility', 'range'];
-        const randomStat = stats[Math.floor(Math.random() * stats.length)];
-        h[randomStat] += h.ankh;
-        this.logCallback(`${h.name} gains an ankh boost of ${h.ankh} ${randomStat} (Now: ${h[randomStat]}).`);
+        const stats = getCoreStatKeys();
+        const randomStat = this.rng.pick(stats);
+        this.changeStat(h, randomStat, h.ankh, 'ankh');
       }
     });
   }
 
-  shortPause() {
-    return new Promise(resolve => setTimeout(resolve, 300));
+  // Damages a wall segment; a destroyed segment opens a breach. Returns true when that
+  // ends the level.
+  damageWall(segment, unit) {
+    segment.hp -= unit.attack;
+    this.emit('wallDamaged', { unit, segment, amount: unit.attack, hp: Math.max(0, segment.hp) });
+    this.awardXp(unit, getXpReward('wall', unit.attack), 'wall');
+    if (segment.hp <= 0) {
+      this.battlefield.setTerrain(segment.x, segment.y, null);
+      this.emit('wallBreached', { unit, segment });
+    }
+    return this.checkObjectives();
+  }
+
+  /**
+   * Collapses the wall once the level's rule is met: 'breach' (the default) needs a run
+   * of at least `breachWidth` neighbouring breached segments that a live hero can walk
+   * to; 'all' needs every segment destroyed.
+   */
+  checkWallCollapse() {
+    if (this.wallBroken) return;
+    const breached = this.wallSegments.filter(segment => segment.hp <= 0);
+    if (breached.length === 0) return;
+    const collapsed = this.wallRules.collapse === 'all'
+      ? breached.length === this.wallSegments.length
+      : this.hasPassableBreach(breached);
+    if (!collapsed) return;
+    this.wallBroken = true;
+    this.emit('wallCollapsed');
   }
-  
-  handleWallCollapse() {
-    this.logCallback('The Wall Collapses!');
+
+  hasPassableBreach(breached) {
+    const runs = [];
+    breached.slice().sort((a, b) => a.x - b.x).forEach(segment => {
+      const run = runs[runs.length - 1];
+      if (run && run[run.length - 1].x === segment.x - 1) run.push(segment);
+      else runs.push([segment]);
+    });
+    const wide = runs.filter(run => run.length >= this.wallRules.breachWidth).flat();
+    if (wide.length === 0) return false;
+    // Units can be pushed aside, so only terrain decides whether a breach is reachable.
+    const bounds = { rows: this.rows, cols: this.cols };
+    return this.getLiveHeroes().some(hero => findPath(hero, wide, (x, y) => !this.battlefield.getTerrain(x, y), bounds));
+  }
+
+  // Mends damaged (not destroyed) wall segments at the start of each round.
+  regenerateWall() {
+    const amount = this.wallRules.regen;
+    if (amount <= 0 || this.wallBroken) return;
+    const mended = this.wallSegments.filter(segment => segment.hp > 0 && segment.hp < segment.maxHp);
+    mended.forEach(segment => {
+      segment.hp = Math.min(segment.maxHp, segment.hp + amount);
+    });
+    if (mended.length > 0) this.emit('wallRegenerated', { amount, segments: mended });
+  }
+
+  /**
+   * Updates the objectives and completes the level once every required one is done.
+   * Failed required objectives are left to checkGameOver.
+   * @returns {boolean} True when the level is over (completed now or earlier).
+   */
+  checkObjectives() {
+    if (this.transitioningLevel) return true;
+    this.checkWallCollapse();
+    this.objectives.forEach(objective => {
+      if (objective.status !== 'active') return;
+      const definition = getObjectiveDefinition(objective.type);
+      if (definition.isFailed && definition.isFailed(this, objective)) {
+        objective.status = 'failed';
+        this.emit('objectiveFailed', { objective });
+      } else if (definition.isComplete(this, objective)) {
+        objective.status = 'complete';
+        this.emit('objectiveComplete', { objective });
+      }
+    });
+    const required = this.objectives.filter(objective => !objective.bonus);
+    if (!required.every(objective => objective.status === 'complete')) return false;
+    this.completeLevel();
+    return true;
+  }
+
+  completeLevel() {
     this.transitioningLevel = true;
-    setTimeout(() => { if (typeof this.onLevelComplete === 'function') this.onLevelComplete(); }, 1500);
+    const bonus = this.objectives.filter(objective => objective.bonus && objective.status === 'complete');
+    this.emit('levelComplete', { reason: 'objectivesComplete', bonus });
+    this.schedule(() => { if (typeof this.onLevelComplete === 'function') this.onLevelComplete(); }, LEVEL_COMPLETE_PAUSE);
   }
 }
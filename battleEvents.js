@@ -0,0 +1,265 @@
+/**
+ * battleEvents.js
+ *
+ * This module turns the structured events emitted by the BattleEngine into the
+ * log lines shown in the battle log. The engine never builds English text itself:
+ * it emits `{ type, ...payload }` objects and the host decides how to present them.
+ *
+ * Event types and their payloads (units are the hero/enemy objects themselves):
+ * - turnStarted      { unit, movePoints }
+ * - enemyTurnStarted / enemyTurnEnded { unit }
+ * - roundStarted     { round, order }
+ * - turnOrderChanged { unit, order }
+ * - attackReady      { unit }
+ * - attackDeclared   { unit, dx, dy }
+ * - attackMissed     { unit, reason: "outOfRange" | "deadHero", target? }
+ * - attackIneffective{ unit, target }
+ * - attackDodged     { attacker, target, result }
+ * - actionRefused    { unit, action: "move" | "attack", reason: "dead" }
+ * - deploymentStarted{ cells }
+ * - deploymentTurn   { unit }
+ * - deploymentEnded  { skipped }
+ * - unitMoved        { unit, from: {x, y}, to: {x, y}, cause? }
+ * - damageDealt      { source, target, amount, hpLeft, kind, collision?, result }
+ * - armorAbsorbed    { attacker, target, armor, result }
+ * - chainTriggered   { target, amount, propagation }
+ * - healed           { source, target, amount, hp }
+ * - itemPickedUp     { unit, item }   (item types are keys of ITEMS in items.js)
+ * - inventoryFull    { unit, item }
+ * - itemUsed         { unit, item, healing, hp }
+ * - itemEquipped     { unit, item, slot, replaced }   (replaced: item type taken off, or null)
+ * - itemRefused      { unit, item, reason: "noDoor" }
+ * - throwReady       { unit, item }
+ * - targetingStarted { unit, area }   (area: the hero's shape from targeting.js)
+ * - cursorMoved      { unit, x, y }
+ * - targetingCancelled { unit }
+ * - targetRefused    { unit, reason: "outOfRange" | "blocked" | "noTarget" }
+ * - targetAttack     { unit, shape, x, y, targets }
+ * - abilityReady     { unit, ability }
+ * - abilityUsed      { unit, ability, targets, cooldown }
+ * - abilityRefused   { unit, ability, reason: "none" | "cooldown" | "noTarget", turns? }
+ * - abilityCharged   { unit, ability }
+ * - itemThrown       { unit, item, dx, dy }
+ * - itemMissed       { unit, item }
+ * - doorLocked       { unit, door }
+ * - doorOpened       { unit, door, item }
+ * - lootDropped      { unit, coins, items, purse }
+ * - statChanged      { unit, stat, from, to, cause, source? }
+ * - xpGained         { unit, amount, reason: "damage" | "kill" | "heal" | "wall", xp, xpLevel }
+ * - heroLeveledUp    { unit, level }
+ * - statusApplied    { target, status, potency, duration, source? }
+ * - statusExpired    { target, status }
+ * - turnSkipped      { unit, status }
+ * - unitConfused     { unit }
+ * - unitDefeated     { unit, side: "hero" | "enemy" | "ally", cause }
+ * - heroRose         { unit, hp }
+ * - enemySpoke       { unit, line }
+ * - bossPhaseStarted { unit, phase, phases }
+ * - enemySummoned    { unit, summoner }
+ * - battlefieldChanged { unit, raised: [{x, y, hp}], cleared: [{x, y}] }
+ * - wallDamaged      { unit, segment, amount, hp }
+ * - wallBreached     { unit, segment }
+ * - wallRegenerated  { amount, segments }
+ * - obstacleDamaged  { unit, obstacle, amount, hp }
+ * - obstacleDestroyed{ unit, obstacle }
+ * - waveComplete     { waveNumber, waves }
+ * - restStarted      { rounds, heal }
+ * - waveStarted      { waveNumber, waves, enemies }
+ * - wallCollapsed    {}
+ * - objectiveComplete / objectiveFailed { objective }
+ * - levelComplete    { reason: "objectivesComplete", bonus }
+ * - gameOver         { reason: "heroesDefeated" | "objectiveFailed", objective? }
+ *
+ * `result` is the damage result from resolveDamage (damage.js): { source, target, kind,
+ * base, amount, resisted, dodged, absorbed, hpLeft, defeated }.
+ *
+ * Events that have no log line (e.g. unitMoved) describe to null.
+ */
+
+import { getObjectiveDefinition } from "./objectives.js";
+import { getItemDefinition } from "./items.js";
+import { getHeroAbility } from "./abilities.js";
+
+// Log lines for damage, keyed by damage kind.
+const damageDescriptions = {
+  attack: e => `${e.source.name} attacks ${e.target.name} for ${e.amount} damage! (HP left: ${e.hpLeft})`,
+  chain: e => `${e.target.name} takes ${e.amount} chain damage! (HP left: ${e.hpLeft})`,
+  bomba: e => `${e.source.name}'s bomba deals ${e.amount} additional damage to ${e.target.name}! (HP left: ${e.hpLeft})`,
+  swarm: e => `${e.source.name}'s swarm deals ${e.amount} damage to ${e.target.name} at (${e.target.x},${e.target.y}) (HP left: ${e.hpLeft})`,
+  burn: e => `${e.target.name} takes ${e.amount} burn damage!`,
+  poison: e => `${e.target.name} takes ${e.amount} poison damage! (HP left: ${e.hpLeft})`,
+  sluj: e => `${e.target.name} takes ${e.amount} slüj damage due to its slüj effect!`,
+  ghis: e => `The ghïs mark on ${e.target.name} bursts for ${e.amount} damage! (HP left: ${e.hpLeft})`,
+  ability: e => `${e.source.name}'s ${abilityLabel(e.source)} hits ${e.target.name} for ${e.amount} damage! (HP left: ${e.hpLeft})`,
+  thrown: e => `${e.source.name}'s throw hits ${e.target.name} for ${e.amount} damage! (HP left: ${e.hpLeft})`,
+  knockback: e => e.collision === "edge"
+    ? `${e.target.name} is knocked back into the wall and takes ${e.amount} damage!`
+    : `${e.target.name} collides with the wall during knockback and takes ${e.amount} damage!`
+};
+
+// Log lines for stat changes, keyed by the cause of the change.
+const statDescriptions = {
+  caprice: e => `${e.unit.name}'s caprice boosts ${e.stat} to ${e.to}`,
+  fate: e => `${e.unit.name}'s fate changes ${e.stat} to ${e.to}`,
+  item: e => `${e.unit.name} gains ${e.to - e.from} boost to ${e.stat} (Now: ${e.to})`,
+  psych: e => `${e.source.name} uses psych on ${e.unit.name}, boosting ${e.stat} by ${e.to - e.from}! (New ${e.stat}: ${e.to})`,
+  rage: e => `${e.unit.name}'s rage boosts ${e.stat} by ${e.to - e.from} (Now: ${e.to})`,
+  bulk: e => `${e.unit.name} bulks up: ${e.stat} +${e.to - e.from} (Now: ${e.to})`,
+  ankh: e => `${e.unit.name} gains an ankh boost of ${e.to - e.from} ${e.stat} (Now: ${e.to}).`,
+  trick: e => `${e.source.name}'s trick lowers ${e.unit.name}'s ${e.stat} from ${e.from} to ${e.to}!`,
+  levelUp: e => `${e.unit.name}'s ${e.stat} rises to ${e.to} (level up).`,
+  equipment: e => `${e.unit.name}'s ${e.stat} ${e.to >= e.from ? "rises" : "drops"} to ${e.to} (equipment).`,
+  bossPhase: e => `${e.unit.name}'s ${e.stat} ${e.to >= e.from ? "rises" : "drops"} to ${e.to}!`
+};
+
+// Log lines for enemy defeats, keyed by the cause of death.
+const defeatDescriptions = {
+  attack: e => `${e.unit.name} is defeated!`,
+  chain: e => `${e.unit.name} is defeated by chain damage!`,
+  burn: e => `${e.unit.name} died from burn damage!`,
+  sluj: e => `${e.unit.name} is defeated by its slüj effect!`,
+  swarm: e => `${e.unit.name} is defeated by swarm damage!`,
+  poison: e => `${e.unit.name} succumbs to poison!`,
+  ghis: e => `${e.unit.name} is undone by its ghïs mark!`,
+  bomba: e => `${e.unit.name} is defeated by bomba damage!`,
+  knockback: e => `${e.unit.name} is defeated by the knockback!`,
+  thrown: e => `${e.unit.name} is brought down by a thrown item!`,
+  ability: e => `${e.unit.name} is struck down by a hero's ability!`
+};
+
+const objectiveLabel = objective => getObjectiveDefinition(objective.type).label(objective);
+
+const itemLabel = type => getItemDefinition(type).label;
+
+const abilityLabel = hero => getHeroAbility(hero).label;
+
+// "a Vittle", "an Iron Buckler".
+const anItem = type => `${/^[aeiou]/i.test(itemLabel(type)) ? "an" : "a"} ${itemLabel(type)}`;
+
+// Log lines for status effects landing, keyed by status name.
+const statusDescriptions = {
+  burn: e => `${e.target.name} is burning for ${e.potency} damage for ${e.duration} turns!`,
+  sluj: e => `${e.target.name} is afflicted with slüj (level ${e.potency}) for ${e.duration} turns!`,
+  poison: e => `${e.target.name} is poisoned (${e.potency} damage per turn) for ${e.duration} turns!`,
+  ghis: e => `${e.target.name} bears a ghïs mark (${e.potency}) that bursts in ${e.duration} turns!`,
+  stun: e => `${e.target.name} is stunned!`,
+  shield: e => `${e.target.name} is shielded against ${e.potency} damage!`,
+  slow: e => `${e.target.name} is slowed by ${e.potency} for ${e.duration} turns!`,
+  confusion: e => `${e.target.name} is confused for ${e.duration} turns!`
+};
+
+// Notes the part of a hit that the target's resistances or shield removed.
+const mitigationSuffix = e => {
+  if (!e.result) return "";
+  const notes = [];
+  if (e.result.resisted > 0) notes.push(`${e.result.resisted} resisted`);
+  if (e.result.shielded > 0) notes.push(`${e.result.shielded} blocked by shield`);
+  return notes.length ? ` (${notes.join(", ")})` : "";
+};
+
+const descriptions = {
+  deploymentStarted: () => "Deploy your heroes on the marked cells.",
+  deploymentTurn: e => `Choose a cell for ${e.unit.name}.`,
+  deploymentEnded: e => e.skipped ? "The heroes take their default positions." : "The heroes are in position.",
+  turnStarted: e => `Now it's ${e.unit.name}'s turn.`,
+  enemyTurnStarted: e => `${e.unit.name}'s turn.`,
+  enemyTurnEnded: () => null,
+  roundStarted: e => `Round ${e.round} begins.`,
+  turnOrderChanged: e => `${e.unit.name}'s agility shifts the turn order.`,
+  attackReady: e => `${e.unit.name} is ready to attack! Choose a direction.`,
+  attackDeclared: () => null,
+  attackMissed: e => {
+    if (e.reason === "deadHero") return `${e.unit.name} attacks an empty cell where ${e.target.name} once stood.`;
+    if (e.reason === "confused") return `${e.unit.name} is confused and strikes empty ground.`;
+    return `${e.unit.name} attacks, but nothing is in range.`;
+  },
+  attackIneffective: e => `${e.unit.name} attacks ${e.target.name} but nothing happens.`,
+  attackDodged: e => `${e.target.name} dodges ${e.attacker.name}'s attack!`,
+  actionRefused: e => `${e.unit.name} is dead and cannot ${e.action}.`,
+  unitMoved: () => null,
+  damageDealt: e => (damageDescriptions[e.kind] || damageDescriptions.attack)(e) + mitigationSuffix(e),
+  armorAbsorbed: e => `${e.attacker.name} attacks ${e.target.name} but their armor absorbs it (Remaining Armor: ${e.armor})`,
+  chainTriggered: e => e.propagation
+    ? `${e.target.name} takes ${e.amount} chain propagation damage!`
+    : `${e.target.name} takes ${e.amount} chain damage!`,
+  healed: e => `${e.source.name} heals ${e.target.name} for ${e.amount} HP! (New HP: ${e.hp})`,
+  itemPickedUp: e => `${e.unit.name} picks up ${anItem(e.item)}.`,
+  inventoryFull: e => `${e.unit.name}'s pack is full; the ${itemLabel(e.item)} stays on the ground.`,
+  itemUsed: e => `${e.unit.name} uses ${anItem(e.item)}${e.healing > 0 ? ` and heals for ${e.healing} HP! (New HP: ${e.hp})` : "."}`,
+  itemEquipped: e => `${e.unit.name} equips the ${itemLabel(e.item)} as ${e.slot === "armor" ? "armor" : `a ${e.slot}`}${e.replaced ? `, stowing the ${itemLabel(e.replaced)}` : ""}.`,
+  itemRefused: e => `${e.unit.name} has no door to open with the ${itemLabel(e.item)}.`,
+  throwReady: e => `${e.unit.name} readies ${anItem(e.item)}! Choose a direction.`,
+  targetingStarted: e => `${e.unit.name} takes aim! Move the cursor to a cell in range.`,
+  cursorMoved: () => null,
+  targetingCancelled: e => `${e.unit.name} lowers their aim.`,
+  targetRefused: e => ({
+    outOfRange: "That cell is out of range.",
+    blocked: "Something blocks the line to that cell.",
+    noTarget: "There is nothing to hit there."
+  })[e.reason],
+  targetAttack: e => e.shape === "single" ? null : `${e.unit.name} unleashes a ${e.shape} attack at (${e.x},${e.y})!`,
+  abilityReady: e => `${e.unit.name} readies ${abilityLabel(e.unit)}! Choose a direction.`,
+  abilityUsed: e => `${e.unit.name} uses ${abilityLabel(e.unit)}! (Ready again in ${e.cooldown} turns)`,
+  abilityRefused: e => {
+    if (e.reason === "none") return `${e.unit.name} has no ability.`;
+    if (e.reason === "cooldown") return `${abilityLabel(e.unit)} is recharging (${e.turns} more turn${e.turns === 1 ? "" : "s"}).`;
+    return `${abilityLabel(e.unit)} has no target there.`;
+  },
+  abilityCharged: e => `${e.unit.name}'s ${abilityLabel(e.unit)} is ready again.`,
+  itemThrown: () => null,
+  itemMissed: e => `${e.unit.name}'s ${itemLabel(e.item)} hits nothing.`,
+  doorLocked: e => `The door is locked. ${e.unit.name} needs a key.`,
+  doorOpened: e => `${e.unit.name} unlocks the door at (${e.door.x},${e.door.y}).`,
+  lootDropped: e => {
+    const loot = [
+      ...(e.coins > 0 ? [`${e.coins} coin${e.coins === 1 ? "" : "s"}`] : []),
+      ...e.items.map(anItem)
+    ];
+    return `${e.unit.name} drops ${loot.join(" and ")}. (Purse: ${e.purse})`;
+  },
+  xpGained: () => null,
+  heroLeveledUp: e => `${e.unit.name} reaches level ${e.level}!`,
+  statChanged: e => statDescriptions[e.cause] ? statDescriptions[e.cause](e) : `${e.unit.name}'s ${e.stat} changes from ${e.from} to ${e.to}.`,
+  statusApplied: e => statusDescriptions[e.status] ? statusDescriptions[e.status](e) : `${e.target.name} is affected by ${e.status}.`,
+  statusExpired: e => {
+    if (e.status === "sluj") return `${e.target.name}'s slüj effect wears off.`;
+    if (e.status === "ghis") return null;
+    return `${e.target.name}'s ${e.status} wears off.`;
+  },
+  turnSkipped: e => `${e.unit.name} is stunned and loses the turn!`,
+  unitConfused: e => `${e.unit.name} is confused and stumbles the wrong way!`,
+  unitDefeated: e => e.side === "hero"
+    ? `Hero ${e.unit.name} has fallen permanently. Applying persistent death and ankh effects...`
+    : (defeatDescriptions[e.cause] || defeatDescriptions.attack)(e),
+  heroRose: e => `Hero ${e.unit.name} falls but rises with ${e.hp} HP!`,
+  enemySpoke: e => `${e.unit.name} says: "${e.line}"`,
+  bossPhaseStarted: e => `${e.unit.name} enters phase ${e.phase} of ${e.phases}!`,
+  enemySummoned: e => `${e.summoner.name} summons ${e.unit.name}!`,
+  battlefieldChanged: e => `The battlefield shifts around ${e.unit.name}${e.raised.length > 0 ? `: ${e.raised.length} obstacle${e.raised.length === 1 ? " rises" : "s rise"}` : ""}${e.cleared.length > 0 ? `${e.raised.length > 0 ? " and" : ":"} ${e.cleared.length} obstacle${e.cleared.length === 1 ? " crumbles" : "s crumble"}` : ""}.`,
+  wallDamaged: e => `${e.unit.name} attacks the wall for ${e.amount} damage! (Segment HP: ${e.hp})`,
+  wallBreached: e => `${e.unit.name} breaks through the wall at (${e.segment.x},${e.segment.y})!`,
+  wallRegenerated: e => `The wall mends itself: ${e.segments.length} damaged segment${e.segments.length === 1 ? " regains" : "s regain"} ${e.amount} HP.`,
+  obstacleDamaged: e => `${e.unit.name} hits the obstacle at (${e.obstacle.x},${e.obstacle.y}) for ${e.amount} damage! (Obstacle HP: ${e.hp})`,
+  obstacleDestroyed: e => `The obstacle at (${e.obstacle.x},${e.obstacle.y}) crumbles!`,
+  waveComplete: e => `Wave ${e.waveNumber} of ${e.waves} is defeated!`,
+  restStarted: e => `The heroes catch their breath for ${e.rounds} round${e.rounds === 1 ? "" : "s"}${e.heal > 0 ? ` and recover ${e.heal} HP` : ""}.`,
+  waveStarted: e => `Wave ${e.waveNumber} of ${e.waves} arrives!`,
+  wallCollapsed: () => "The Wall Collapses!",
+  objectiveComplete: e => `${e.objective.bonus ? "Bonus objective" : "Objective"} complete: ${objectiveLabel(e.objective)}!`,
+  objectiveFailed: e => `${e.objective.bonus ? "Bonus objective" : "Objective"} failed: ${objectiveLabel(e.objective)}.`,
+  levelComplete: e => e.bonus && e.bonus.length > 0 ? `Level complete with ${e.bonus.length} bonus objective${e.bonus.length === 1 ? "" : "s"}!` : null,
+  gameOver: e => e.reason === "objectiveFailed"
+    ? `${objectiveLabel(e.objective)} can no longer be done! Game Over.`
+    : "All heroes defeated! Game Over."
+};
+
+/**
+ * Returns the log line for a battle event, or null if the event is not logged.
+ *
+ * @param {Object} event - An event emitted by the BattleEngine ({ type, ...payload }).
+ * @returns {string|null} The log line.
+ */
+export function describeEvent(event) {
+  const describe = descriptions[event.type];
+  return describe ? describe(event) : null;
+}
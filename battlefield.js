@@ -0,0 +1,136 @@
+/**
+ * battlefield.js
+ *
+ * This module holds the occupancy model of a battle. The field is made of three layers:
+ * - terrain: the level wall segments, layout obstacles and locked doors (`{ kind, ... }` or null),
+ * - units:   heroes and enemies, at most one per cell,
+ * - items:   vittles, mushrooms and other pickups from items.js, at most one per cell.
+ *
+ * Every unit and item carries an `id`, and all game logic asks the layers what is in a
+ * cell instead of comparing glyphs, so two units may share a symbol and an enemy may look
+ * like a wall without being one. The glyph grid only exists for rendering (`toGlyphs`).
+ */
+
+// Glyphs used for terrain when rendering.
+export const TERRAIN_SYMBOLS = {
+  wall: 'ᚙ',
+  obstacle: '▒',
+  door: '⌂'
+};
+
+// Wall segments that have taken damage but still stand.
+const DAMAGED_WALL_SYMBOL = 'ᚘ';
+
+const EMPTY_SYMBOL = '.';
+
+export class Battlefield {
+  constructor(rows, cols) {
+    this.rows = rows;
+    this.cols = cols;
+    this.terrain = Array.from({ length: rows }, () => Array(cols).fill(null));
+    // Units and items are keyed by "x,y".
+    this.units = new Map();
+    this.items = new Map();
+  }
+
+  static key(x, y) {
+    return `${x},${y}`;
+  }
+
+  isWithinBounds(x, y) {
+    return x >= 0 && x < this.cols && y >= 0 && y < this.rows;
+  }
+
+  getTerrain(x, y) {
+    return this.isWithinBounds(x, y) ? this.terrain[y][x] : null;
+  }
+
+  setTerrain(x, y, terrain) {
+    this.terrain[y][x] = terrain;
+  }
+
+  getUnitAt(x, y) {
+    return this.units.get(Battlefield.key(x, y)) || null;
+  }
+
+  getItemAt(x, y) {
+    return this.items.get(Battlefield.key(x, y)) || null;
+  }
+
+  /**
+   * Puts a unit on a cell and updates its coordinates.
+   * Throws if the cell is outside the field, solid, or already taken by another unit.
+   */
+  placeUnit(unit, x, y) {
+    if (!this.isWithinBounds(x, y)) {
+      throw new Error(`Cannot place ${unit.name} at (${x}, ${y}): outside the ${this.cols}x${this.rows} battlefield.`);
+    }
+    const occupant = this.getUnitAt(x, y);
+    if (occupant && occupant !== unit) {
+      throw new Error(`Cannot place ${unit.name} at (${x}, ${y}): the cell is taken by ${occupant.name}.`);
+    }
+    if (this.getTerrain(x, y)) {
+      throw new Error(`Cannot place ${unit.name} at (${x}, ${y}): the cell is a ${this.getTerrain(x, y).kind}.`);
+    }
+    unit.x = x;
+    unit.y = y;
+    this.units.set(Battlefield.key(x, y), unit);
+  }
+
+  // Moves a unit that is already on the field to another open cell.
+  moveUnit(unit, x, y) {
+    this.removeUnit(unit);
+    this.placeUnit(unit, x, y);
+  }
+
+  removeUnit(unit) {
+    const key = Battlefield.key(unit.x, unit.y);
+    if (this.units.get(key) === unit) this.units.delete(key);
+  }
+
+  placeItem(item, x, y) {
+    item.x = x;
+    item.y = y;
+    this.items.set(Battlefield.key(x, y), item);
+  }
+
+  removeItem(item) {
+    const key = Battlefield.key(item.x, item.y);
+    if (this.items.get(key) === item) this.items.delete(key);
+  }
+
+  // True when a unit could stand on the cell (items do not block).
+  isOpen(x, y) {
+    return this.isWithinBounds(x, y) && !this.terrain[y][x] && !this.getUnitAt(x, y);
+  }
+
+  // True when the cell holds nothing at all.
+  isEmpty(x, y) {
+    return this.isOpen(x, y) && !this.getItemAt(x, y);
+  }
+
+  // Lists the empty cells, optionally leaving out the bottom (wall) row.
+  getEmptyCells({ excludeBottomRow = false } = {}) {
+    const cells = [];
+    const lastRow = excludeBottomRow ? this.rows - 1 : this.rows;
+    for (let y = 0; y < lastRow; y++) {
+      for (let x = 0; x < this.cols; x++) {
+        if (this.isEmpty(x, y)) cells.push({ x, y });
+      }
+    }
+    return cells;
+  }
+
+  // Builds the glyph grid for rendering: units over items over terrain.
+  toGlyphs() {
+    return this.terrain.map((row, y) => row.map((terrain, x) => {
+      const unit = this.getUnitAt(x, y);
+      if (unit) return unit.symbol;
+      const item = this.getItemAt(x, y);
+      if (item) return item.symbol;
+      if (terrain && terrain.kind === 'wall' && terrain.hp < terrain.maxHp) return DAMAGED_WALL_SYMBOL;
+      if (terrain) return TERRAIN_SYMBOLS[terrain.kind] || EMPTY_SYMBOL;
+      return EMPTY_SYMBOL;
+    }));
+  }
+}
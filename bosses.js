@@ -0,0 +1,63 @@
+/**
+ * bosses.js
+ *
+ * This module holds the boss definition format used by the BattleEngine. An enemy in
+ * levels.js is a boss when it has `boss: true` or a `phases` list; bosses get an HP bar
+ * in the battle UI. Phases start once the boss's HP falls to `below` (a fraction of its
+ * starting HP, e.g. 0.5); a single heavy hit can start several phases in a row.
+ *
+ * Each phase may declare:
+ * - below:       Required. The HP fraction that starts the phase (between 0 and 1).
+ * - say:         A line the boss speaks as the phase starts.
+ * - stats:       New stat values, e.g. { attack: 80, agility: 9 }.
+ * - behavior:    A new behavior profile (see enemyBehaviors.js).
+ * - dialogue:    New lines for the boss to pick from on its turns.
+ * - spawn:       Adds to summon, declared like level enemies without coordinates; each
+ *                appears on the free cell closest to the boss.
+ * - battlefield: Changes to the field: `obstacles: [{ x, y, hp }]` raises obstacles on
+ *                empty cells, `clear: [{ x, y }]` removes obstacles.
+ * - onEnter:     `(engine, boss, phase)` called last, for anything else.
+ *
+ * Functions:
+ * - isBoss(enemy): Whether an enemy is a boss.
+ * - getBossPhases(enemy, title): The boss's phases, checked and ordered by threshold.
+ * - describeBossPhase(boss): Phase text for the boss HP bar, e.g. "Phase 2/3".
+ */
+
+/**
+ * Whether an enemy is a boss.
+ *
+ * @param {Object} enemy - An enemy.
+ * @returns {boolean} True for enemies with `boss: true` or phases.
+ */
+export function isBoss(enemy) {
+  return !!enemy.boss || (Array.isArray(enemy.phases) && enemy.phases.length > 0);
+}
+
+/**
+ * Returns a boss's phases ordered from the highest threshold to the lowest.
+ *
+ * @param {Object} enemy - The boss as declared in levels.js.
+ * @param {string} [title] - The level title, for error messages.
+ * @returns {Object[]} The phases; empty for bosses without any.
+ */
+export function getBossPhases(enemy, title = 'Level') {
+  const phases = Array.isArray(enemy.phases) ? enemy.phases : [];
+  phases.forEach((phase, index) => {
+    if (typeof phase.below !== 'number' || phase.below <= 0 || phase.below >= 1) {
+      throw new Error(`${title}: phase ${index + 1} of boss "${enemy.name}" needs a "below" fraction between 0 and 1.`);
+    }
+  });
+  return phases.slice().sort((a, b) => b.below - a.below);
+}
+
+/**
+ * Describes the phase a boss is in for the battle UI.
+ *
+ * @param {Object} boss - A boss prepared by the BattleEngine.
+ * @returns {string} "Phase 2/3", or an empty string for bosses without phases.
+ */
+export function describeBossPhase(boss) {
+  const phases = boss.phases || [];
+  return phases.length > 0 ? `Phase ${boss.phase + 1}/${phases.length + 1}` : '';
+}
@@ -0,0 +1,100 @@
+/**
+ * damage.js
+ *
+ * This module is the single place where damage against a unit is worked out. Every
+ * damage source in a battle (attacks, chain, bomba, swarm, burn, slüj, poison, ghïs,
+ * knockback collisions and hero abilities) goes through `resolveDamage`, so dodge, armor and resistances
+ * behave the same everywhere. The BattleEngine wraps it in `dealDamage`, which also reports the
+ * result, runs the on-hit / on-death hooks and takes defeated units off the field.
+ *
+ * Rules per damage kind (see DAMAGE_KINDS):
+ * - dodgeable: the target's dodge stat may avoid the hit entirely.
+ * - armor:     one point of the target's armor absorbs the whole hit.
+ *
+ * Resistances are optional per unit: `resistances: { burn: 0.5, sluj: 1 }` removes that
+ * fraction of the damage of a kind (1 = immune, negative values = extra damage).
+ * What is left is then soaked up by status effects that absorb damage (e.g. shield).
+ */
+
+import { getActiveStatuses } from './statusEffects.js';
+
+// How each damage kind interacts with dodge and armor.
+export const DAMAGE_KINDS = {
+  attack: { dodgeable: true, armor: true },
+  chain: { dodgeable: false, armor: false },
+  bomba: { dodgeable: false, armor: false },
+  swarm: { dodgeable: false, armor: false },
+  burn: { dodgeable: false, armor: false },
+  sluj: { dodgeable: false, armor: false },
+  poison: { dodgeable: false, armor: false },
+  ghis: { dodgeable: false, armor: false },
+  knockback: { dodgeable: false, armor: false },
+  thrown: { dodgeable: true, armor: true },
+  ability: { dodgeable: true, armor: true }
+};
+
+/**
+ * Returns the chance (0 to 0.5) that a unit dodges a dodgeable hit.
+ *
+ * @param {Object} unit - The unit being hit.
+ * @returns {number} The dodge chance.
+ */
+export function getDodgeChance(unit) {
+  const dodge = unit.dodge || 0;
+  // Diminishing returns, capped at 50%.
+  return Math.min(dodge / (100 + dodge), 0.5);
+}
+
+/**
+ * Resolves one instance of damage against a unit and lowers its HP.
+ * Events, hooks and death cleanup are left to the caller (BattleEngine.dealDamage).
+ *
+ * @param {Object} target - The hero or enemy taking the damage.
+ * @param {number} amount - The damage before dodge, armor and resistances.
+ * @param {Object} options
+ * @param {Object|null} [options.source] - The unit dealing the damage, if any.
+ * @param {string} [options.kind] - The damage kind (a key of DAMAGE_KINDS).
+ * @param {Object} options.rng - The battle's seeded generator (see rng.js).
+ * @returns {{source: Object|null, target: Object, kind: string, base: number, amount: number,
+ *   resisted: number, shielded: number, dodged: boolean, absorbed: boolean, hpLeft: number,
+ *   defeated: boolean}}
+ *   The damage result.
+ */
+export function resolveDamage(target, amount, { source = null, kind = 'attack', rng }) {
+  const rules = DAMAGE_KINDS[kind] || DAMAGE_KINDS.attack;
+  const result = {
+    source,
+    target,
+    kind,
+    base: amount,
+    amount: 0,
+    resisted: 0,
+    shielded: 0,
+    dodged: false,
+    absorbed: false,
+    hpLeft: target.hp,
+    defeated: false
+  };
+  if (rules.dodgeable && rng.next() < getDodgeChance(target)) {
+    result.dodged = true;
+    return result;
+  }
+  if (rules.armor && target.armor && target.armor > 0) {
+    target.armor--;
+    result.absorbed = true;
+    return result;
+  }
+  const resistance = target.resistances && typeof target.resistances[kind] === 'number' ? target.resistances[kind] : 0;
+  result.amount = Math.max(0, Math.round(amount * (1 - resistance)));
+  result.resisted = amount - result.amount;
+  getActiveStatuses(target).forEach(({ effect, definition }) => {
+    if (!definition.absorbDamage || result.amount <= 0) return;
+    const soaked = definition.absorbDamage(effect, result.amount);
+    result.amount -= soaked;
+    result.shielded += soaked;
+  });
+  target.hp -= result.amount;
+  result.hpLeft = target.hp;
+  result.defeated = target.hp <= 0;
+  return result;
+}
@@ -0,0 +1,127 @@
+/**
+ * enemyBehaviors.js
+ *
+ * This module holds the enemy behavior profiles used by the BattleEngine. An enemy picks
+ * its profile with `behavior: "kite"` (etc.) in levels.js; enemies without one are
+ * aggressive. Once per move the engine asks the profile for a plan and carries it out:
+ * - { action: 'hold' }:             Stay put.
+ * - { action: 'approach', goals }:  Take one step along the shortest path (see
+ *                                   pathfinding.js) to the nearest of the goal cells.
+ * - { action: 'retreat', from }:    Step away from the given units.
+ * - { action: 'backOff' }:          Step out of melee while keeping a hero in sight
+ *                                   (ranged enemies only).
+ * Attacks are not part of the plan: after moving, every enemy attacks the heroes in its
+ * line of sight as usual.
+ *
+ * Profiles and their optional enemy properties:
+ * - aggressive: Heads for the closest spot it can attack a hero from.
+ * - guard:      Holds its starting post and only engages heroes within `guardRadius`
+ *               rows (default 3) of the wall.
+ * - kite:       Keeps its distance, attacking from as far away as its range allows and
+ *               backing off when a hero comes close. Meant for ranged enemies.
+ * - flee:       Fights like an aggressive enemy until its HP drops to `fleeBelow`
+ *               (a fraction of its starting HP, default 0.3), then runs from the heroes.
+ * - weakest:    Hunts the live hero with the least HP.
+ * - protect:    Stays next to the enemy named by `protects` (or the nearest other enemy)
+ *               and attacks heroes that come within 2 cells of it.
+ *
+ * Functions:
+ * - getBehavior(enemy, title): Returns the profile an enemy uses; throws on unknown names.
+ */
+
+const STEPS = [[0, -1], [0, 1], [-1, 0], [1, 0]];
+
+const distance = (a, b) => Math.abs(a.x - b.x) + Math.abs(a.y - b.y);
+
+// Attacks the given heroes: holds where it already has one in sight, and otherwise heads
+// for a cell to attack one from. Ranged enemies avoid cells next to a hero.
+function engage(engine, enemy, heroes) {
+  if (heroes.length === 0) return { action: 'hold' };
+  const ranged = engine.getAttackRange(enemy) > 1;
+  if (engine.findLineTargets(enemy).some(hero => heroes.includes(hero))) {
+    return ranged && engine.isNextToHero(enemy.x, enemy.y) ? { action: 'backOff' } : { action: 'hold' };
+  }
+  const goals = engine.getAttackPositions(enemy, heroes);
+  const safeGoals = ranged ? goals.filter(cell => !engine.isNextToHero(cell.x, cell.y)) : [];
+  return { action: 'approach', goals: safeGoals.length > 0 ? safeGoals : goals };
+}
+
+export const BEHAVIORS = {
+  aggressive: {
+    plan: (engine, enemy) => engage(engine, enemy, engine.getLiveHeroes())
+  },
+  guard: {
+    plan: (engine, enemy) => {
+      const radius = typeof enemy.guardRadius === 'number' ? enemy.guardRadius : 3;
+      const intruders = engine.getLiveHeroes().filter(hero => engine.rows - 1 - hero.y <= radius);
+      if (intruders.length > 0) return engage(engine, enemy, intruders);
+      if (!enemy.post || distance(enemy, enemy.post) === 0) return { action: 'hold' };
+      return { action: 'approach', goals: [enemy.post] };
+    }
+  },
+  kite: {
+    plan: (engine, enemy) => {
+      const heroes = engine.getLiveHeroes();
+      if (heroes.length === 0) return { action: 'hold' };
+      if (engine.findLineTargets(enemy).length > 0) {
+        const pressed = heroes.some(hero => distance(hero, enemy) <= 2);
+        return pressed ? { action: 'backOff' } : { action: 'hold' };
+      }
+      // Prefer the attack positions farthest from every hero.
+      const goals = engine.getAttackPositions(enemy, heroes);
+      const spacing = cell => Math.min(...heroes.map(hero => distance(hero, cell)));
+      const best = Math.max(...goals.map(spacing));
+      return { action: 'approach', goals: goals.filter(cell => spacing(cell) === best) };
+    }
+  },
+  flee: {
+    plan: (engine, enemy) => {
+      const threshold = typeof enemy.fleeBelow === 'number' ? enemy.fleeBelow : 0.3;
+      const heroes = engine.getLiveHeroes();
+      if (enemy.maxHp && enemy.hp <= enemy.maxHp * threshold) return { action: 'retreat', from: heroes };
+      return engage(engine, enemy, heroes);
+    }
+  },
+  weakest: {
+    plan: (engine, enemy) => {
+      const heroes = engine.getLiveHeroes();
+      if (heroes.length === 0) return { action: 'hold' };
+      const weakest = heroes.reduce((low, hero) => (hero.hp < low.hp ? hero : low));
+      return engage(engine, enemy, [weakest]);
+    }
+  },
+  protect: {
+    plan: (engine, enemy) => {
+      const allies = engine.enemies.filter(other => other !== enemy && engine.isEnemy(other));
+      const named = allies.find(other => other.name === enemy.protects);
+      const ally = named || (allies.length > 0
+        ? allies.reduce((closest, other) => (distance(other, enemy) < distance(closest, enemy) ? other : closest))
+        : null);
+      const heroes = engine.getLiveHeroes();
+      if (!ally) return engage(engine, enemy, heroes);
+      const threats = heroes.filter(hero => distance(hero, ally) <= 2);
+      if (threats.length > 0) return engage(engine, enemy, threats);
+      if (distance(enemy, ally) === 1) return { action: 'hold' };
+      const goals = STEPS
+        .map(([dx, dy]) => ({ x: ally.x + dx, y: ally.y + dy }))
+        .filter(cell => engine.canMove(cell.x, cell.y));
+      return goals.length > 0 ? { action: 'approach', goals } : { action: 'hold' };
+    }
+  }
+};
+
+/**
+ * Returns the behavior profile an enemy uses; enemies without one are aggressive.
+ *
+ * @param {Object} enemy - The enemy.
+ * @param {string} [title] - The level title, for error messages.
+ * @returns {{plan: function(Object, Object): Object}} The profile.
+ * @throws {Error} When the enemy names an unknown behavior.
+ */
+export function getBehavior(enemy, title = 'Level') {
+  if (!enemy.behavior) return BEHAVIORS.aggressive;
+  if (!BEHAVIORS[enemy.behavior]) {
+    throw new Error(`${title}: unknown behavior "${enemy.behavior}" of enemy "${enemy.name}".`);
+  }
+  return BEHAVIORS[enemy.behavior];
+}
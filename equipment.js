@@ -0,0 +1,140 @@
+/**
+ * equipment.js
+ *
+ * This module holds the equipment slots of the heroes. Every hero has a weapon, an armor
+ * and a trinket slot (`hero.equipment`, slot → item type or null). Equipment items in
+ * items.js name their `slot` and the `stats` they add; putting an item on adds those
+ * stats to the hero and taking it off removes them again, so the engine keeps reading
+ * the hero's own stats (attack, range, burn, chain, armor, dodge, yeet, ...). Slots stay
+ * on the party objects, so equipment lasts across levels.
+ *
+ * Heroes may start with equipment: `equipment: { weapon: "spikedClub" }` in heroes.js.
+ *
+ * Functions:
+ * - getEquipment(hero): The hero's slots, created empty when missing.
+ * - equipItem(hero, type, changeStat): Puts an item into its slot.
+ * - unequipItem(hero, slot, changeStat): Empties a slot.
+ * - outfitHero(hero): Puts on the equipment a hero starts with.
+ * - getEquipmentBonuses(equipment): Stat bonuses of a set of slots.
+ * - describeEquipment(equipment): Slot texts for the UI.
+ */
+
+import { getItemDefinition, describeItem } from './items.js';
+
+export const EQUIPMENT_SLOTS = ['weapon', 'armor', 'trinket'];
+
+const SLOT_LABELS = { weapon: 'Weapon', armor: 'Armor', trinket: 'Trinket' };
+
+// Used when no engine is around to apply stat changes (e.g. before the first battle).
+const addToStat = (hero, stat, amount) => {
+  hero[stat] = (hero[stat] || 0) + amount;
+};
+
+/**
+ * Returns a hero's equipment slots, giving the hero empty ones if it has none.
+ *
+ * @param {Object} hero - The hero.
+ * @returns {Object} Slot name → item type or null.
+ */
+export function getEquipment(hero) {
+  if (!hero.equipment) hero.equipment = {};
+  EQUIPMENT_SLOTS.forEach(slot => {
+    if (hero.equipment[slot] === undefined) hero.equipment[slot] = null;
+  });
+  return hero.equipment;
+}
+
+/**
+ * Puts an equipment item into its slot, taking off whatever was there.
+ *
+ * @param {Object} hero - The hero.
+ * @param {string} type - An item type with category 'equipment'.
+ * @param {Function} [changeStat] - `(hero, stat, amount)`; the BattleEngine passes its own
+ *   so the changes are logged.
+ * @returns {string|null} The item type taken off, or null if the slot was empty.
+ */
+export function equipItem(hero, type, changeStat = addToStat) {
+  const definition = getItemDefinition(type);
+  if (!definition || definition.category !== 'equipment' || !EQUIPMENT_SLOTS.includes(definition.slot)) {
+    throw new Error(`"${type}" is not equipment for a weapon, armor or trinket slot.`);
+  }
+  const replaced = unequipItem(hero, definition.slot, changeStat);
+  getEquipment(hero)[definition.slot] = type;
+  Object.keys(definition.stats || {}).forEach(stat => changeStat(hero, stat, definition.stats[stat]));
+  return replaced;
+}
+
+/**
+ * Empties a slot and removes the stats its item added.
+ *
+ * @param {Object} hero - The hero.
+ * @param {string} slot - 'weapon', 'armor' or 'trinket'.
+ * @param {Function} [changeStat] - `(hero, stat, amount)`, as for equipItem.
+ * @returns {string|null} The item type taken off, or null if the slot was empty.
+ */
+export function unequipItem(hero, slot, changeStat = addToStat) {
+  const equipment = getEquipment(hero);
+  const type = equipment[slot];
+  if (!type) return null;
+  equipment[slot] = null;
+  const stats = getItemDefinition(type).stats || {};
+  // Never below 0: armor the item gave and the hero already used up stays used up.
+  Object.keys(stats).forEach(stat => {
+    const amount = Math.min(stats[stat], Math.max(hero[stat] || 0, 0));
+    if (amount !== 0) changeStat(hero, stat, -amount);
+  });
+  return type;
+}
+
+/**
+ * Puts on the equipment a hero is declared with in heroes.js. Call it on the party's
+ * copy of the hero, once, when the party is formed.
+ *
+ * @param {Object} hero - The party's copy of a hero.
+ * @returns {Object} The hero.
+ */
+export function outfitHero(hero) {
+  const declared = hero.equipment || {};
+  hero.equipment = null;
+  getEquipment(hero);
+  EQUIPMENT_SLOTS.forEach(slot => {
+    if (declared[slot]) equipItem(hero, declared[slot]);
+  });
+  return hero;
+}
+
+/**
+ * Adds up the stat bonuses of a set of slots.
+ *
+ * @param {Object} [equipment] - Slot name → item type, e.g. `hero.equipment`.
+ * @returns {Object} Stat → bonus, e.g. { attack: 2, armor: 1 }.
+ */
+export function getEquipmentBonuses(equipment = {}) {
+  const bonuses = {};
+  EQUIPMENT_SLOTS.forEach(slot => {
+    const definition = equipment[slot] ? getItemDefinition(equipment[slot]) : null;
+    if (!definition) return;
+    Object.keys(definition.stats || {}).forEach(stat => {
+      bonuses[stat] = (bonuses[stat] || 0) + definition.stats[stat];
+    });
+  });
+  return bonuses;
+}
+
+/**
+ * Describes a set of slots for the UI, e.g. "Weapon: Spiked Club ⚚ (+2 attack)".
+ *
+ * @param {Object} [equipment] - Slot name → item type.
+ * @returns {string[]} One text per slot; empty slots read "Armor: —".
+ */
+export function describeEquipment(equipment = {}) {
+  return EQUIPMENT_SLOTS.map(slot => {
+    const type = equipment[slot];
+    if (!type) return `${SLOT_LABELS[slot]}: —`;
+    const stats = getItemDefinition(type).stats || {};
+    const bonus = Object.keys(stats)
+      .map(stat => `${stats[stat] >= 0 ? '+' : ''}${stats[stat]} ${stat}`)
+      .join(', ');
+    return `${SLOT_LABELS[slot]}: ${describeItem(type)}${bonus ? ` (${bonus})` : ''}`;
+  });
+}
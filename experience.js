@@ -0,0 +1,80 @@
+/**
+ * experience.js
+ *
+ * This module holds hero experience. The BattleEngine gives a hero XP for what it does in
+ * battle: damage dealt to enemies, enemies defeated, HP healed and damage done to the
+ * level wall. Every hero levels up on its own (`hero.xpLevel`, starting at 1) and gains
+ * the stats of its curve in heroCurves.js. XP and levels stay on the party objects, so
+ * they last for the whole run.
+ *
+ * Functions:
+ * - getXpReward(reason, amount): The XP an action is worth.
+ * - getXpToNextLevel(xpLevel): XP needed to climb from a level to the next.
+ * - addXp(hero, amount): Adds XP and returns the levels reached.
+ * - getXpProgress(hero): The hero's level and the XP gathered towards the next one.
+ */
+
+// XP per point of damage, healing or wall damage, and per defeated enemy.
+export const XP_REWARDS = {
+  damage: 1,
+  heal: 1,
+  wall: 1,
+  kill: 10
+};
+
+// XP the first level-up takes; every later level takes this much more.
+const XP_STEP = 20;
+
+/**
+ * Returns the XP an action is worth.
+ *
+ * @param {string} reason - 'damage', 'heal', 'wall' or 'kill'.
+ * @param {number} [amount] - Points of damage or healing; ignored for kills.
+ * @returns {number} The XP.
+ */
+export function getXpReward(reason, amount = 1) {
+  const rate = XP_REWARDS[reason] || 0;
+  return reason === 'kill' ? rate : Math.max(0, Math.round(rate * amount));
+}
+
+/**
+ * Returns the XP needed to climb from a level to the next.
+ *
+ * @param {number} xpLevel - The current level.
+ * @returns {number} The XP.
+ */
+export function getXpToNextLevel(xpLevel) {
+  return XP_STEP * xpLevel;
+}
+
+/**
+ * Adds XP to a hero, levelling it up as often as the XP allows. Stat gains are left to
+ * the caller (see getLevelGains in heroCurves.js).
+ *
+ * @param {Object} hero - The hero.
+ * @param {number} amount - The XP earned.
+ * @returns {number[]} The levels reached, in order; empty without a level-up.
+ */
+export function addXp(hero, amount) {
+  if (typeof hero.xpLevel !== 'number') hero.xpLevel = 1;
+  hero.xp = (hero.xp || 0) + amount;
+  const reached = [];
+  while (hero.xp >= getXpToNextLevel(hero.xpLevel)) {
+    hero.xp -= getXpToNextLevel(hero.xpLevel);
+    hero.xpLevel++;
+    reached.push(hero.xpLevel);
+  }
+  return reached;
+}
+
+/**
+ * Returns how far a hero is on its way to the next level.
+ *
+ * @param {Object} hero - The hero.
+ * @returns {{level: number, xp: number, next: number}} The level, the XP gathered in it
+ *   and the XP the next level takes.
+ */
+export function getXpProgress(hero) {
+  const level = hero.xpLevel || 1;
+  return { level, xp: hero.xp || 0, next: getXpToNextLevel(level) };
+}
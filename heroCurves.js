@@ -0,0 +1,79 @@
+/**
+ * heroCurves.js
+ *
+ * This file contains the stat curves heroes follow when they level up on their own
+ * through experience (see experience.js). A curve maps stats to what the hero gains at
+ * each new level. A number is gained at every level; a list is walked through level by
+ * level and starts over, so `attack: [1, 0]` is +1 attack every other level.
+ * Heroes without a curve of their own use DEFAULT_CURVE. Curves are keyed by the hero
+ * names in heroes.js, which checks them with validateHeroCurves when it loads.
+ */
+
+import { getStat } from "./stats.js";
+
+export const DEFAULT_CURVE = { hp: 2, attack: [1, 0] };
+
+export const HERO_CURVES = {
+  Knight: { hp: 3, attack: [1, 0] },
+  Archer: { hp: 1, attack: [1, 0], range: [0, 0, 1] },
+  Wizard: { hp: 1, chain: 1, attack: [0, 1] },
+  Berserker: { hp: 2, attack: 1, rage: [0, 0, 1] },
+  Rogue: { hp: 1, attack: [1, 0], agility: [0, 1] },
+  Cleric: { hp: 2, heal: 1 },
+  Torcher: { hp: 1, burn: 1 },
+  "Slüjier": { hp: 1, sluj: [1, 0] },
+  Yeetrian: { hp: 2, yeet: [0, 1] },
+  Mellitron: { hp: 2, swarm: [1, 0] },
+  Gastronomer: { hp: 2, spicy: 1 },
+  Palisade: { hp: 3, armor: [0, 1] },
+  Mycelian: { hp: 2, spore: [0, 1] },
+  Meatwalker: { hp: 4, bulk: [0, 0, 1] },
+  Greenjay: { hp: 1, rise: [0, 1] },
+  Sysiphuge: { hp: 2, dodge: 1 },
+  Bombador: { hp: 2, bomba: [1, 0] }
+};
+
+/**
+ * Returns the stat curve of a hero.
+ *
+ * @param {Object} hero - The hero.
+ * @returns {Object} The curve.
+ */
+export function getHeroCurve(hero) {
+  return HERO_CURVES[hero.name] || DEFAULT_CURVE;
+}
+
+/**
+ * Works out the stats a hero gains on reaching a level.
+ *
+ * @param {Object} hero - The hero.
+ * @param {number} xpLevel - The level reached (2 for the first level-up).
+ * @returns {Object} Amounts keyed by stat; stats without a gain are left out.
+ */
+export function getLevelGains(hero, xpLevel) {
+  const curve = getHeroCurve(hero);
+  const gains = {};
+  Object.keys(curve).forEach(stat => {
+    const step = curve[stat];
+    const amount = Array.isArray(step) ? step[(xpLevel - 2) % step.length] : step;
+    if (amount) gains[stat] = amount;
+  });
+  return gains;
+}
+
+/**
+ * Checks that every curve belongs to a hero and only names registered stats.
+ *
+ * @param {Object[]} heroes - The hero definitions.
+ * @returns {string[]} The problems found; empty when the curves are valid.
+ */
+export function validateHeroCurves(heroes) {
+  const problems = [];
+  Object.keys(HERO_CURVES).forEach(name => {
+    if (!heroes.some(hero => hero.name === name)) problems.push(`Curve for unknown hero "${name}".`);
+    Object.keys(HERO_CURVES[name]).forEach(stat => {
+      if (!getStat(stat)) problems.push(`${name}: curve names unknown stat "${stat}".`);
+    });
+  });
+  return problems;
+}
@@ -4,8 +4,16 @@
  * This file contains the hero configurations for the game.
  * Each hero is defined as an object with properties like attack, range, agility, and hp.
  * Some heroes have additional properties for unique behavior.
+ * Every numeric property must be a stat registered in stats.js; the list is validated
+ * when this module loads, together with the level-up curves, abilities and area shapes
+ * the heroes pick.
  */
 
+import { validateHeroes } from "./stats.js";
+import { validateHeroCurves } from "./heroCurves.js";
+import { validateHeroAbilities } from "./abilities.js";
+import { validateHeroAreas } from "./targeting.js";
+
 export const heroes = [
   {
     name: "Knight",
@@ -15,6 +23,12 @@ export const heroes = [
     range: 1,
     agility: 4,
     hp: 18,
+    talentTree: [
+      { id: "valor", label: "Valor", buff: { attack: 1, hp: 2 } },
+      { id: "plate", label: "Plate", buff: { armor: 1 } },
+      { id: "charge", label: "Charge", buff: { agility: 1 }, requires: ["valor"] },
+      { id: "champion", label: "Champion", buff: { attack: 2, hp: 4 }, requires: ["charge", "plate"], once: true }
+    ]
   },
   {
     name: "Archer",
@@ -24,6 +38,15 @@ export const heroes = [
     range: 5,
     agility: 4,
     hp: 12,
+    // Active ability (see abilities.js), used with its own key.
+    ability: "volley",
+    // Mode-up talents (see modeup.js); amounts are per level.
+    talentTree: [
+      { id: "eagleEye", label: "Eagle Eye", buff: { range: 1 } },
+      { id: "quickDraw", label: "Quick Draw", buff: { agility: 1 } },
+      { id: "broadheads", label: "Broadheads", buff: { attack: 1 }, requires: ["eagleEye"] },
+      { id: "fireArrows", label: "Fire Arrows", buff: { burn: 1 }, requires: ["broadheads", "quickDraw"], once: true }
+    ]
   },
   {
     name: "Wizard",
@@ -33,7 +56,15 @@ export const heroes = [
     range: 7,
     agility: 2,
     hp: 10,
-    chain: 5 // The chain stat gives bonus attack damage to any adjacent enemy.
+    chain: 5, // The chain stat gives bonus attack damage to any adjacent enemy.
+    // Area shape of cursor attacks (see targeting.js).
+    area: { shape: "blast", radius: 1 },
+    talentTree: [
+      { id: "arcChain", label: "Arc Chain", buff: { chain: 1 } },
+      { id: "focus", label: "Focus", buff: { attack: 1 } },
+      { id: "farsight", label: "Farsight", buff: { range: 1 }, requires: ["focus"] },
+      { id: "stormcall", label: "Stormcall", buff: { chain: 2 }, requires: ["arcChain", "farsight"], once: true }
+    ]
   },
   {
     name: "Berserker",
@@ -43,7 +74,13 @@ export const heroes = [
     range: 1,
     agility: 3,
     hp: 20,
-    rage: 1 // New rage stat: whenever attacked by an enemy, a random stat is increased by this value.
+    rage: 1, // New rage stat: whenever attacked by an enemy, a random stat is increased by this value.
+    talentTree: [
+      { id: "fury", label: "Fury", buff: { attack: 3, rage: 1 } },
+      { id: "thickHide", label: "Thick Hide", buff: { hp: 3 } },
+      { id: "bloodlust", label: "Bloodlust", buff: { rage: 1 }, requires: ["fury"] },
+      { id: "rampage", label: "Rampage", buff: { attack: 2, agility: 1 }, requires: ["bloodlust", "thickHide"], once: true }
+    ]
   },
   {
     name: "Rogue",
@@ -53,6 +90,12 @@ export const heroes = [
     range: 2,
     agility: 6,
     hp: 12,
+    talentTree: [
+      { id: "swiftness", label: "Swiftness", buff: { agility: 2 } },
+      { id: "whetstone", label: "Whetstone", buff: { attack: 1 } },
+      { id: "evasion", label: "Evasion", buff: { dodge: 1 }, requires: ["swiftness"] },
+      { id: "hamstring", label: "Hamstring", buff: { slow: 1 }, requires: ["evasion", "whetstone"], once: true }
+    ]
   },
   {
     name: "Cleric",
@@ -62,7 +105,14 @@ export const heroes = [
     range: 1,
     agility: 3,
     hp: 12,
-    heal: 4 // Healing power: used when interacting with a friendly hero.
+    heal: 4, // Healing power: used when interacting with a friendly hero.
+    ability: "blessing",
+    talentTree: [
+      { id: "mending", label: "Mending", buff: { heal: 2 } },
+      { id: "fortitude", label: "Fortitude", buff: { hp: 2 } },
+      { id: "sanctuary", label: "Sanctuary", buff: { armor: 1 }, requires: ["mending"] },
+      { id: "resurrection", label: "Resurrection", buff: { rise: 1 }, requires: ["sanctuary", "fortitude"], once: true }
+    ]
   },
   {
     name: "Jester",
@@ -73,7 +123,13 @@ export const heroes = [
     agility: 5,
     hp: 10,
     joke: true, // Provides humorous interactions.
-    trick: 1   // Placeholder "trick" stat for potential future behaviors.
+    trick: 1, // Placeholder "trick" stat for potential future behaviors.
+    talentTree: [
+      { id: "sleight", label: "Sleight of Hand", buff: { trick: 1 } },
+      { id: "tumble", label: "Tumble", buff: { agility: 1 } },
+      { id: "misdirection", label: "Misdirection", buff: { confusion: 1 }, requires: ["sleight"] },
+      { id: "grandFarce", label: "Grand Farce", buff: { trick: 2 }, requires: ["misdirection", "tumble"], once: true }
+    ]
   },
   {  
     name: "Meatwalker",
@@ -85,7 +141,13 @@ export const heroes = [
     hp: 22,
     heal: 1, // Slight healing property.
     meat: true, // Indicates meat-related interactions.
-    bulk: 1 // New bulk stat for Meatwalker.
+    bulk: 1, // New bulk stat for Meatwalker.
+    talentTree: [
+      { id: "heft", label: "Heft", buff: { bulk: 1 } },
+      { id: "marbling", label: "Marbling", buff: { hp: 3 } },
+      { id: "gorge", label: "Gorge", buff: { heal: 1 }, requires: ["marbling"] },
+      { id: "juggernaut", label: "Juggernaut", buff: { attack: 2, bulk: 1 }, requires: ["heft", "gorge"], once: true }
+    ]
   },
   {
     name: "Soothscribe",
@@ -96,7 +158,13 @@ export const heroes = [
     agility: 3,
     hp: 11,
     tarot: true, // Can fetch tarot cards for special actions.
-    fate: 1
+    fate: 1,
+    talentTree: [
+      { id: "augury", label: "Augury", buff: { fate: 1 } },
+      { id: "insight", label: "Insight", buff: { range: 1 } },
+      { id: "omen", label: "Omen", buff: { stun: 1 }, requires: ["augury"] },
+      { id: "destiny", label: "Destiny", buff: { fate: 2 }, requires: ["omen", "insight"], once: true }
+    ]
   },
   {
     name: "Nonsequiteur",
@@ -107,7 +175,13 @@ export const heroes = [
     agility: 3,
     hp: 10,
     nonseq: true, // Delivers random, non-sequitur interactions.
-    caprice: 1 // New stat for random stat increment.
+    caprice: 1, // New stat for random stat increment.
+    talentTree: [
+      { id: "whim", label: "Whim", buff: { caprice: 1 } },
+      { id: "nonsense", label: "Nonsense", buff: { confusion: 1 } },
+      { id: "tangent", label: "Tangent", buff: { range: 1 }, requires: ["whim"] },
+      { id: "absurdity", label: "Absurdity", buff: { caprice: 2 }, requires: ["tangent", "nonsense"], once: true }
+    ]
   },
   {
     name: "Griot",
@@ -117,7 +191,13 @@ export const heroes = [
     range: 1,
     agility: 1,
     hp: 10,
-    reactsToHistory: true // Reacts uniquely when encountering historical events.
+    reactsToHistory: true, // Reacts uniquely when encountering historical events.
+    talentTree: [
+      { id: "refrain", label: "Refrain", buff: { ghis: 1 } },
+      { id: "oralHistory", label: "Oral History", buff: { hp: 2 } },
+      { id: "callAndResponse", label: "Call and Response", buff: { heal: 1 }, requires: ["oralHistory"] },
+      { id: "epic", label: "Epic", buff: { ghis: 2 }, requires: ["refrain", "callAndResponse"], once: true }
+    ]
   },
   {
     name: "Torcher",
@@ -128,7 +208,14 @@ export const heroes = [
     agility: 3,
     hp: 14,
     torcher: true, // Has a burning property.
-    burn: 1      // Burn damage value.
+    burn: 1,     // Burn damage value.
+    area: "cone",
+    talentTree: [
+      { id: "kindling", label: "Kindling", buff: { burn: 1 } },
+      { id: "bellows", label: "Bellows", buff: { attack: 1 } },
+      { id: "longFlame", label: "Long Flame", buff: { range: 1 }, requires: ["kindling"] },
+      { id: "inferno", label: "Inferno", buff: { burn: 2 }, requires: ["longFlame", "bellows"], once: true }
+    ]
   },
   {
     name: "Slüjier",
@@ -138,7 +225,13 @@ export const heroes = [
     range: 1,
     agility: 4,
     hp: 16,
-    sluj: 1 // Special ability indicator for sluj actions.
+    sluj: 1, // Special ability indicator for sluj actions.
+    talentTree: [
+      { id: "ooze", label: "Ooze", buff: { sluj: 1 } },
+      { id: "rubbery", label: "Rubbery", buff: { hp: 2 } },
+      { id: "sticky", label: "Sticky", buff: { slow: 1 }, requires: ["ooze"] },
+      { id: "deluge", label: "Deluge", buff: { sluj: 2 }, requires: ["sticky", "rubbery"], once: true }
+    ]
   },
   // Updated Shrink hero configuration with symbol ☊
   {
@@ -150,7 +243,13 @@ export const heroes = [
     agility: 3,
     hp: 12,
     shrink: true, // Indicates shrink-related behavior.
-    psych: 1 // New psych stat for Shrink.
+    psych: 1, // New psych stat for Shrink.
+    talentTree: [
+      { id: "analysis", label: "Analysis", buff: { psych: 1 } },
+      { id: "calm", label: "Calm", buff: { heal: 1 } },
+      { id: "reframe", label: "Reframe", buff: { agility: 1 }, requires: ["calm"] },
+      { id: "catharsis", label: "Catharsis", buff: { psych: 2 }, requires: ["analysis", "reframe"], once: true }
+    ]
   },
   {
     name: "Sycophant",
@@ -159,7 +258,13 @@ export const heroes = [
     attack: 0,
     range: 0,
     agility: 2,
-    hp: 15
+    hp: 15,
+    talentTree: [
+      { id: "adulation", label: "Adulation", buff: "signature" },
+      { id: "grovel", label: "Grovel", buff: { hp: 2 } },
+      { id: "praise", label: "Praise", buff: { heal: 1 }, requires: ["adulation"] },
+      { id: "devotion", label: "Devotion", buff: { armor: 1 }, requires: ["praise", "grovel"], once: true }
+    ]
   },
   // New hero "Yeetrian" with knockback stat "yeet".
   {
@@ -170,7 +275,14 @@ export const heroes = [
     range: 2,
     agility: 4,
     hp: 14,
-    yeet: 1
+    yeet: 1,
+    ability: "shove",
+    talentTree: [
+      { id: "heave", label: "Heave", buff: { yeet: 1 } },
+      { id: "footwork", label: "Footwork", buff: { agility: 1 } },
+      { id: "longArm", label: "Long Arm", buff: { range: 1 }, requires: ["heave"] },
+      { id: "launch", label: "Launch", buff: { yeet: 2 }, requires: ["longArm", "footwork"], once: true }
+    ]
   },
   // New hero "Mellitron" with customized stats and a swarm ability.
   {
@@ -181,7 +293,13 @@ export const heroes = [
     range: 3,
     agility: 5,
     hp: 18,
-    swarm: 2 // Swarm stat: indicates additional abilities when swarming.
+    swarm: 2, // Swarm stat: indicates additional abilities when swarming.
+    talentTree: [
+      { id: "hive", label: "Hive", buff: { swarm: 1 } },
+      { id: "nectar", label: "Nectar", buff: { heal: 1 } },
+      { id: "sting", label: "Sting", buff: { poison: 1 }, requires: ["hive"] },
+      { id: "queen", label: "Queen", buff: { swarm: 2 }, requires: ["sting", "nectar"], once: true }
+    ]
   },
   // New hero "Gastronomer" with a spicy stat.
   {
@@ -193,7 +311,13 @@ export const heroes = [
     agility: 3,
     hp: 15,
     spicy: 1, // Spicy stat: increases the amount the vittle heals for.
-    recipe: true // Indicates recipe-related interactions.
+    recipe: true, // Indicates recipe-related interactions.
+    talentTree: [
+      { id: "seasoning", label: "Seasoning", buff: { spicy: 1 } },
+      { id: "feast", label: "Feast", buff: { hp: 2 } },
+      { id: "ladle", label: "Ladle", buff: { heal: 1 }, requires: ["feast"] },
+      { id: "ghostPepper", label: "Ghost Pepper", buff: { spicy: 1, burn: 1 }, requires: ["seasoning", "ladle"], once: true }
+    ]
   },
   // New hero "Palisade" with armor stat.
   {
@@ -205,7 +329,14 @@ export const heroes = [
     agility: 2,
     hp: 20,
     armor: 5, // Armor stat: absorbs damage before HP is affected.
-    description: "Palisade stands as a bulwark against all attacks, his armor absorbing the brunt of enemy blows."
+    ability: "brace",
+    description: "Palisade stands as a bulwark against all attacks, his armor absorbing the brunt of enemy blows.",
+    talentTree: [
+      { id: "reinforce", label: "Reinforce", buff: { armor: 1 } },
+      { id: "stoutness", label: "Stoutness", buff: { hp: 3 } },
+      { id: "spikes", label: "Spikes", buff: { attack: 1 }, requires: ["reinforce"] },
+      { id: "bastion", label: "Bastion", buff: { shield: 2 }, requires: ["spikes", "stoutness"], once: true }
+    ]
   },
   // New hero "Mycelian" with spore stat.
   {
@@ -216,7 +347,13 @@ export const heroes = [
     range: 1,
     agility: 3,
     hp: 15,
-    spore: 1 // Spore stat: indicates the ability to gain random stats from mushrooms.
+    spore: 1, // Spore stat: indicates the ability to gain random stats from mushrooms.
+    talentTree: [
+      { id: "sporulate", label: "Sporulate", buff: { spore: 1 } },
+      { id: "mycelium", label: "Mycelium", buff: { hp: 2 } },
+      { id: "rot", label: "Rot", buff: { poison: 1 }, requires: ["sporulate"] },
+      { id: "bloom", label: "Bloom", buff: { spore: 2 }, requires: ["rot", "mycelium"], once: true }
+    ]
   },
   // Updated hero "Pæg" with improved stats and added chain stat.
   {
@@ -236,7 +373,13 @@ export const heroes = [
     spicy: 1,
     armor: 1,
     spore: 1,
-    chain: 1    // Added chain stat to Pæg.
+    chain: 1, // Added chain stat to Pæg.
+    talentTree: [
+      { id: "glimmer", label: "Glimmer", buff: { ghis: 1 } },
+      { id: "scatter", label: "Scatter", buff: { swarm: 1, chain: 1 } },
+      { id: "kindle", label: "Kindle", buff: { burn: 1, sluj: 1 }, requires: ["glimmer"] },
+      { id: "everything", label: "Everything", buff: { heal: 1, yeet: 1, spicy: 1, armor: 1, spore: 1 }, requires: ["kindle", "scatter"], once: true }
+    ]
   },
   // New hero "Kemetic"
   {
@@ -248,7 +391,14 @@ export const heroes = [
     agility: 5,
     hp: 25,
     // The new ankh stat will cause boosts on hero deaths.
-    ankh: 5
+    ankh: 5,
+    area: "pierce",
+    talentTree: [
+      { id: "eternity", label: "Eternity", buff: { ankh: 1 } },
+      { id: "sunDisk", label: "Sun Disk", buff: { attack: 1 } },
+      { id: "scarab", label: "Scarab", buff: { range: 1 }, requires: ["eternity"] },
+      { id: "afterlife", label: "Afterlife", buff: { rise: 1 }, requires: ["scarab", "sunDisk"], once: true }
+    ]
   },
   // New hero "Greenjay"
   {
@@ -259,7 +409,13 @@ export const heroes = [
     range: 2,
     agility: 4,
     hp: 30,
-    rise: 5 // new rise stat
+    rise: 5, // new rise stat
+    talentTree: [
+      { id: "renewal", label: "Renewal", buff: { rise: 1 } },
+      { id: "plumage", label: "Plumage", buff: { hp: 3 } },
+      { id: "flight", label: "Flight", buff: { agility: 1 }, requires: ["renewal"] },
+      { id: "phoenix", label: "Phoenix", buff: { rise: 2 }, requires: ["flight", "plumage"], once: true }
+    ]
   },
   // New hero "Sysiphuge"
   {
@@ -270,7 +426,13 @@ export const heroes = [
     range: 1,
     agility: 4,
     hp: 16,
-    dodge: 4
+    dodge: 4,
+    talentTree: [
+      { id: "roll", label: "Roll", buff: { dodge: 1 } },
+      { id: "endurance", label: "Endurance", buff: { hp: 2 } },
+      { id: "momentum", label: "Momentum", buff: { agility: 1 }, requires: ["roll"] },
+      { id: "boulder", label: "Boulder", buff: { yeet: 1 }, requires: ["momentum", "endurance"], once: true }
+    ]
   },
   // New hero "Bombador"
   {
@@ -281,9 +443,18 @@ export const heroes = [
     range: 1,
     agility: 6,
     hp: 20,
-    bomba: 5 // bomba stat, that does bonus damages to adjacent enemies that are attacked by another hero
+    bomba: 5, // bomba stat, that does bonus damages to adjacent enemies that are attacked by another hero
+    talentTree: [
+      { id: "fuse", label: "Fuse", buff: { bomba: 1 } },
+      { id: "blastSuit", label: "Blast Suit", buff: { armor: 1 } },
+      { id: "shrapnel", label: "Shrapnel", buff: { chain: 1 }, requires: ["fuse"] },
+      { id: "bigBoom", label: "Big Boom", buff: { bomba: 2 }, requires: ["shrapnel", "blastSuit"], once: true }
+    ]
   }
 ];
+
+validateHeroes(heroes, [validateHeroCurves, validateHeroAbilities, validateHeroAreas]);
+
 /**
  * Handles the hero selection logic specifically for Summit Mode.
  * This function cycles through all available heroes and allows the player to choose one.
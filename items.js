@@ -0,0 +1,192 @@
+/**
+ * items.js
+ *
+ * This module holds the item catalog used by the BattleEngine. Items lie on the field
+ * (placed by the level or at random), heroes pick them up by stepping onto them and
+ * carry them in a small inventory (`hero.inventory`, a list of item types) that lasts
+ * across levels. Using an item takes the hero's action.
+ *
+ * Each definition declares:
+ * - label:     Name shown in the battle UI and the log.
+ * - symbol:    Glyph of the item on the field.
+ * - category:  How the item is used:
+ *              'consumable' affects the hero using it (stat tonics raise `stats` for good),
+ *              'throwable'  flies in a chosen direction and hits the first enemy within `range`,
+ *              'key'        opens a locked door next to the hero (walking into the door
+ *                           with a key in the pack works too),
+ *              'equipment'  goes into the hero's `slot` ('weapon', 'armor' or 'trinket'),
+ *                           adding its `stats` while worn (see equipment.js); whatever was
+ *                           in the slot goes back into the pack.
+ * - Effect amounts, depending on the category: `heal` (HP restored), `boost` (points
+ *   added to one random core stat), `damage`, `status` ({ name, potency } from
+ *   statusEffects.js), `range`, `stats` ({ stat: amount }) and `slot` for equipment.
+ * - modifiers: Optional list of `{ stat, ...amounts }`; every point the hero has in
+ *   `stat` adds those amounts to the item's effect. This is how spicy makes vittles
+ *   heal more and spore makes mushrooms boost a stat.
+ *
+ * Functions:
+ * - getItemDefinition(type): Returns the definition of an item type.
+ * - getItemEffect(type, unit): The item's effect amounts with the unit's modifiers applied.
+ * - describeItem(type): Short text of an item for the battle UI.
+ */
+
+// How many items a hero can carry.
+export const INVENTORY_SIZE = 4;
+
+export const ITEMS = {
+  vittle: {
+    label: 'Vittle',
+    symbol: 'ౚ',
+    category: 'consumable',
+    heal: 10,
+    modifiers: [{ stat: 'spicy', heal: 2 }]
+  },
+  mushroom: {
+    label: 'Mushroom',
+    symbol: 'ඉ',
+    category: 'consumable',
+    heal: 5,
+    modifiers: [{ stat: 'spore', boost: 1 }]
+  },
+  mightTonic: {
+    label: 'Might Tonic',
+    symbol: 'ꝏ',
+    category: 'consumable',
+    stats: { attack: 1 }
+  },
+  vigorTonic: {
+    label: 'Vigor Tonic',
+    symbol: 'ꝏ',
+    category: 'consumable',
+    stats: { hp: 8 }
+  },
+  swiftTonic: {
+    label: 'Swift Tonic',
+    symbol: 'ꝏ',
+    category: 'consumable',
+    stats: { agility: 1 }
+  },
+  firebomb: {
+    label: 'Firebomb',
+    symbol: '✹',
+    category: 'throwable',
+    damage: 12,
+    range: 4,
+    status: { name: 'burn', potency: 3 }
+  },
+  throwingKnife: {
+    label: 'Throwing Knife',
+    symbol: '†',
+    category: 'throwable',
+    damage: 8,
+    range: 5
+  },
+  key: {
+    label: 'Key',
+    symbol: '⚷',
+    category: 'key'
+  },
+  ironBuckler: {
+    label: 'Iron Buckler',
+    symbol: '⛉',
+    category: 'equipment',
+    slot: 'armor',
+    stats: { armor: 1 }
+  },
+  spikedClub: {
+    label: 'Spiked Club',
+    symbol: '⚚',
+    category: 'equipment',
+    slot: 'weapon',
+    stats: { attack: 2 }
+  },
+  longbow: {
+    label: 'Longbow',
+    symbol: '➶',
+    category: 'equipment',
+    slot: 'weapon',
+    stats: { range: 1 }
+  },
+  emberBlade: {
+    label: 'Ember Blade',
+    symbol: '⸸',
+    category: 'equipment',
+    slot: 'weapon',
+    stats: { attack: 1, burn: 2 }
+  },
+  stormRod: {
+    label: 'Storm Rod',
+    symbol: 'ϟ',
+    category: 'equipment',
+    slot: 'weapon',
+    stats: { chain: 3 }
+  },
+  leatherJerkin: {
+    label: 'Leather Jerkin',
+    symbol: '⛊',
+    category: 'equipment',
+    slot: 'armor',
+    stats: { dodge: 1 }
+  },
+  featherCharm: {
+    label: 'Feather Charm',
+    symbol: 'ᛉ',
+    category: 'equipment',
+    slot: 'trinket',
+    stats: { dodge: 2 }
+  },
+  ramsHorn: {
+    label: 'Ram\'s Horn',
+    symbol: '♈',
+    category: 'equipment',
+    slot: 'trinket',
+    stats: { yeet: 1 }
+  }
+};
+
+// Effect amounts that modifiers can add to.
+const EFFECT_AMOUNTS = ['heal', 'boost', 'damage', 'range'];
+
+/**
+ * Returns the definition of an item type.
+ *
+ * @param {string} type - The item type (a key of ITEMS).
+ * @returns {Object|null} The definition, or null for unknown types.
+ */
+export function getItemDefinition(type) {
+  return ITEMS[type] || null;
+}
+
+/**
+ * Works out what an item does for a unit: the item's own amounts plus its modifiers
+ * for every point the unit has in the modifier's stat.
+ *
+ * @param {string} type - The item type.
+ * @param {Object} unit - The unit using the item.
+ * @returns {Object} Amounts keyed by effect, e.g. { heal: 14, boost: 0, damage: 0, range: 0 }.
+ */
+export function getItemEffect(type, unit) {
+  const definition = getItemDefinition(type);
+  const effect = {};
+  EFFECT_AMOUNTS.forEach(amount => {
+    effect[amount] = definition[amount] || 0;
+  });
+  (definition.modifiers || []).forEach(modifier => {
+    const points = unit[modifier.stat] || 0;
+    EFFECT_AMOUNTS.forEach(amount => {
+      if (modifier[amount]) effect[amount] += modifier[amount] * points;
+    });
+  });
+  return effect;
+}
+
+/**
+ * Describes an item for the battle UI, e.g. "Firebomb ✹".
+ *
+ * @param {string} type - The item type.
+ * @returns {string} The description.
+ */
+export function describeItem(type) {
+  const definition = getItemDefinition(type);
+  return definition ? `${definition.label} ${definition.symbol}` : type;
+}
@@ -9,25 +9,81 @@
  * Overview of Level Creation:
  * - Each level is defined by properties like `level`, `title`, `rows`, `cols`, `wallHP`, and `enemies`.
  * - Levels can use an `enemyGenerator` function to dynamically generate enemies.
- * - Special properties like `generateEnemies`, `waveNumber`, and `restPhase` can be used for advanced level configurations.
- * - Levels can include additional objects (level objects) such as "vittle" items.
- *   For example, in level 1 a vittle can be defined that the player may interact with.
+ * - Special properties like `generateEnemies`, `waves`, and `restPhase` can be used for advanced level configurations.
+ * - Wave levels (`waves` > 1) call `enemyGenerator` again with the next `waveNumber`
+ *   (1, 2, ...) each time a wave is defeated. `getWaveStats(waveNumber)` may return stat
+ *   multipliers for a wave's enemies, `restPhase` gives the heroes a breather between
+ *   waves and `onWaveComplete(waveNumber, engine)` is called after each cleared wave.
+ * - `wallHP` is the HP of every wall segment. `wallCollapse`, `breachWidth` and `wallRegen`
+ *   change when the wall collapses and let damaged segments mend (see docs/level-creation.md).
+ * - `objectives` lists what it takes to complete a level (defeat a boss, survive, reach an
+ *   exit, escort a unit, ...; see objectives.js). Without it, breaking the wall wins.
+ * - Enemies with `boss: true` get an HP bar, and `phases` lets a boss change its stats,
+ *   behavior and dialogue, summon adds or reshape the field at HP thresholds (see bosses.js).
+ * - `items: [{ type, x, y }]` places items from the catalog in items.js (vittles,
+ *   throwables, keys, equipment, ...) on the field. `randomItems` lists the item types
+ *   scattered at random (a vittle and a mushroom by default).
+ * - `partySize` sets how many heroes take the field (3 by default, see roster.js); the
+ *   rest of the recruited heroes wait on the bench.
+ * - `deployment: [{ x, y }]` lists the cells the heroes are deployed on before the battle
+ *   (in auto-placement order). Without it, heroes start on the first free cells.
+ * - All randomness (enemy generators, layouts) draws from the seeded generator handed
+ *   to `getLevel(levelNumber, { seed })`, so the same seed always builds the same level.
+ *   `enemyGenerator` receives it as `(rows, cols, waveNumber, rng, layout)` and a `layout`
+ *   may be a function `(rng, keepOpen) => grid` that is evaluated when the level is loaded;
+ *   `keepOpen` lists the fixed enemies, the items, the deployment cells and the exit cells
+ *   of the level's objectives.
+ * - A `layout` grid holds `null` for open cells, `{ type: "wall", hp }` for destructible
+ *   walls and `{ type: "door" }` for locked doors that a key opens. The BattleEngine turns
+ *   those walls into obstacles and rejects layouts whose enemy coordinates land on a wall.
  */
 
+import { createRng } from "./rng.js";
+import { getObjectiveCells } from "./objectives.js";
+
+// The three bosses of level 20 share one definition.
+const ETERNAL_OVERLORD = {
+  name: "Eternal Overlord",
+  symbol: "♛",
+  attack: 60,
+  range: 5,
+  hp: 1000,
+  agility: 7,
+  dialogue: ["You cannot defeat me!", "I am eternal."],
+  boss: true,
+  phases: [
+    {
+      below: 0.5,
+      say: "You have only woken me.",
+      stats: { attack: 75, agility: 9 },
+      dialogue: ["Kneel.", "Eternity is patient."]
+    },
+    {
+      below: 0.2,
+      say: "Shades, feast!",
+      behavior: "weakest",
+      spawn: [
+        { name: "Overlord's Shade", symbol: "♚", attack: 20, range: 1, hp: 120, agility: 8 },
+        { name: "Overlord's Shade", symbol: "♚", attack: 20, range: 1, hp: 120, agility: 8 }
+      ]
+    }
+  ]
+};
+
 // Helper function to generate a random integer within a range
-function getRandomInt(min, max) {
-  min = Math.ceil(min);
-  max = Math.floor(max);
-  return Math.floor(Math.random() * (max - min + 1)) + min;
+function getRandomInt(rng, min, max) {
+  return rng.int(min, max);
 }
 
-// Function to generate a level layout with static "wall" enemies
-function generateLevelLayout(rows, cols, minRoomSize, maxRoomSize, numRooms, wallHP) {
+// Function to generate a level layout of rooms surrounded by destructible walls.
+// Rooms are joined by corridors, the last room is opened down to the level wall,
+// and every cell in `keepOpen` (e.g. fixed enemy positions) is kept open and connected.
+function generateLevelLayout(rng, rows, cols, minRoomSize, maxRoomSize, numRooms, wallHP, keepOpen = []) {
   const layout = []; // 2D array to hold level data
   for (let y = 0; y < rows; y++) {
     layout[y] = [];
     for (let x = 0; x < cols; x++) {
-      layout[y][x] = null; // Initially empty
+      layout[y][x] = { type: "wall", hp: wallHP }; // Solid until carved
     }
   }
 
@@ -37,34 +93,62 @@ function generateLevelLayout(rows, cols, minRoomSize, maxRoomSize, numRooms, wal
   const createRoom = (x, y, width, height) => {
     const room = { x, y, width, height };
     rooms.push(room);
+    for (let ry = y; ry < y + height; ry++) {
+      for (let rx = x; rx < x + width; rx++) layout[ry][rx] = null;
+    }
+  };
+
+  // Carves an L-shaped corridor between two cells.
+  const carveCorridor = (from, to) => {
+    let { x, y } = from;
+    layout[y][x] = null;
+    while (x !== to.x) {
+      x += Math.sign(to.x - x);
+      layout[y][x] = null;
+    }
+    while (y !== to.y) {
+      y += Math.sign(to.y - y);
+      layout[y][x] = null;
+    }
   };
 
-  // Attempt to generate rooms (very simple for now - just places without collision)
+  const center = room => ({
+    x: room.x + Math.floor(room.width / 2),
+    y: room.y + Math.floor(room.height / 2)
+  });
+
+  // Generate rooms (rooms may overlap, which simply merges them)
   for (let i = 0; i < numRooms; i++) {
-    let width = getRandomInt(minRoomSize, maxRoomSize);
-    let height = getRandomInt(minRoomSize, maxRoomSize);
-    let x = getRandomInt(1, cols - width - 1);
-    let y = getRandomInt(1, rows - height - 1);
+    let width = getRandomInt(rng, minRoomSize, maxRoomSize);
+    let height = getRandomInt(rng, minRoomSize, maxRoomSize);
+    let x = getRandomInt(rng, 1, cols - width - 1);
+    let y = getRandomInt(rng, 1, rows - height - 1);
     createRoom(x, y, width, height);
   }
 
-  // Place "wall" enemies around the rooms (very basic - needs improvement to connect rooms)
-  for (let y = 0; y < rows; y++) {
+  // Connect the rooms in order, then open a way down to the row above the level wall.
+  for (let i = 1; i < rooms.length; i++) carveCorridor(center(rooms[i - 1]), center(rooms[i]));
+  const lastCenter = center(rooms[rooms.length - 1]);
+  carveCorridor(lastCenter, { x: lastCenter.x, y: rows - 2 });
+
+  // Keep required cells open and joined to the first room.
+  keepOpen.forEach(cell => carveCorridor(cell, center(rooms[0])));
+
+  return { layout, rooms };
+}
+
+// Picks a random open cell of a layout (never the bottom wall row) that is not yet taken.
+function getRandomOpenCell(rng, layout, rows, cols, taken) {
+  const openCells = [];
+  for (let y = 0; y < rows - 1; y++) {
     for (let x = 0; x < cols; x++) {
-      let isWall = true;
-      for (const room of rooms) {
-        if (x >= room.x && x < room.x + room.width && y >= room.y && y < room.y + room.height) {
-          isWall = false; // Inside a room
-          break;
-        }
-      }
-      if (isWall) {
-        layout[y][x] = { type: "wall", hp: wallHP }; // Mark as a "wall"
-      }
+      if (!(layout && layout[y][x]) && !taken.has(`${x},${y}`)) openCells.push({ x, y });
     }
   }
-
-  return { layout, rooms };
+  if (openCells.length === 0) throw new Error(`No open cell left in a ${cols}x${rows} layout for another enemy.`);
+  const cell = rng.pick(openCells);
+  taken.add(`${cell.x},${cell.y}`);
+  return cell;
 }
 
 export const levelSettings = [
@@ -90,6 +174,7 @@ export const levelSettings = [
         range: 1,
         hp: 12,
         agility: 2,
+        behavior: "flee",
         enemyXOffset: 3
       },
       {
@@ -99,8 +184,30 @@ export const levelSettings = [
         range: 1,
         hp: 12,
         agility: 2,
+        behavior: "flee",
         enemyXOffset: 5
       }
+    ],
+    // A locked storeroom in the top right corner; the key lies by the wall.
+    layout: [
+      [null, null, null, null, null, null, null, null, null, { type: "wall", hp: 60 }, null, null],
+      [null, null, null, null, null, null, null, null, null, { type: "wall", hp: 60 }, { type: "wall", hp: 60 }, { type: "door" }],
+      [null, null, null, null, null, null, null, null, null, null, null, null],
+      [null, null, null, null, null, null, null, null, null, null, null, null],
+      [null, null, null, null, null, null, null, null, null, null, null, null],
+      [null, null, null, null, null, null, null, null, null, null, null, null],
+      [null, null, null, null, null, null, null, null, null, null, null, null]
+    ],
+    items: [
+      { type: "key", x: 1, y: 5 },
+      { type: "ironBuckler", x: 11, y: 0 },
+      { type: "firebomb", x: 6, y: 0 }
+    ],
+    // The west end of the yard, away from the Brigands.
+    deployment: [
+      { x: 0, y: 0 }, { x: 1, y: 0 }, { x: 2, y: 0 },
+      { x: 0, y: 1 }, { x: 1, y: 1 }, { x: 2, y: 1 },
+      { x: 0, y: 2 }, { x: 1, y: 2 }, { x: 2, y: 2 }
     ]
   },
   {
@@ -110,7 +217,7 @@ export const levelSettings = [
     cols: 4,
     wallHP: 60,
     generateEnemies: true,
-    enemyGenerator: (rows, cols) => {
+    enemyGenerator: (rows, cols, waveNumber, rng) => {
       const enemies = [];
       for (let col = 0; col < cols; col++) {
         enemies.push({
@@ -120,6 +227,7 @@ export const levelSettings = [
           range: 1,
           hp: 55,
           agility: 22,
+          behavior: "guard",
           x: col,
           y: Math.floor(rows / 2)
         });
@@ -134,10 +242,14 @@ export const levelSettings = [
     cols: 15,
     wallHP: 70,
     enemies: [
-      { name: "Brigand", symbol: "Җ", attack: 3, range: 1, hp: 12, agility: 2, x: 12, y: 0 },
-      { name: "Brigand", symbol: "Җ", attack: 3, range: 1, hp: 12, agility: 2, x: 11, y: 1 },
-      { name: "Buckleman", symbol: "⛨", attack: 1, range: 1, hp: 25, agility: 1, x: 8, y: 2 },
-      { name: "Brigand", symbol: "Җ", attack: 3, range: 1, hp: 12, agility: 2, x: 12, y: 2 }
+      { name: "Brigand", symbol: "Җ", attack: 3, range: 1, hp: 12, agility: 2, behavior: "flee", x: 12, y: 0 },
+      { name: "Brigand", symbol: "Җ", attack: 3, range: 1, hp: 12, agility: 2, behavior: "flee", x: 11, y: 1 },
+      { name: "Buckleman", symbol: "⛨", attack: 1, range: 1, hp: 25, agility: 1, shield: 5, behavior: "protect", x: 8, y: 2 },
+      { name: "Brigand", symbol: "Җ", attack: 3, range: 1, hp: 12, agility: 2, behavior: "flee", x: 12, y: 2 }
+    ],
+    deployment: [
+      { x: 0, y: 0 }, { x: 1, y: 0 }, { x: 2, y: 0 },
+      { x: 0, y: 1 }, { x: 1, y: 1 }, { x: 2, y: 1 }
     ]
   },
   {
@@ -153,12 +265,12 @@ export const levelSettings = [
       { name: "Static Wall", symbol: "█", attack: 0, range: 0, hp: 50, agility: 0, x: 4, y: 5 },
       { name: "Static Wall", symbol: "█", attack: 0, range: 0, hp: 50, agility: 0, x: 5, y: 5 },
       { name: "Static Wall", symbol: "█", attack: 0, range: 0, hp: 50, agility: 0, x: 6, y: 5 },
-      { name: "Brigand", symbol: "Җ", attack: 3, range: 1, hp: 12, agility: 2, x: 1, y: 4 },
-      { name: "Brigand", symbol: "Җ", attack: 3, range: 1, hp: 12, agility: 2, x: 2, y: 4 },
-      { name: "Buckleman", symbol: "⛨", attack: 1, range: 1, hp: 20, agility: 1, x: 3, y: 4 },
-      { name: "Getter", symbol: "∴", attack: 5, range: 1, hp: 55, agility: 5, x: 4, y: 6 },
-      { name: "Stonch Hogan", symbol: "酉", attack: 8, range: 1, hp: 150, agility: 3, x: 5, y: 6 },
-      { name: "Taker", symbol: "∵", attack: 1, range: 5, hp: 55, agility: 5, x: 6, y: 6 }
+      { name: "Brigand", symbol: "Җ", attack: 3, range: 1, hp: 12, agility: 2, behavior: "flee", x: 1, y: 4 },
+      { name: "Brigand", symbol: "Җ", attack: 3, range: 1, hp: 12, agility: 2, behavior: "flee", x: 2, y: 4 },
+      { name: "Buckleman", symbol: "⛨", attack: 1, range: 1, hp: 20, agility: 1, shield: 5, behavior: "protect", protects: "Stonch Hogan", x: 3, y: 4 },
+      { name: "Getter", symbol: "∴", attack: 5, range: 1, hp: 55, agility: 5, behavior: "weakest", x: 4, y: 6 },
+      { name: "Stonch Hogan", symbol: "酉", attack: 8, range: 1, hp: 150, agility: 3, behavior: "guard", x: 5, y: 6 },
+      { name: "Taker", symbol: "∵", attack: 1, range: 5, hp: 55, agility: 5, behavior: "kite", x: 6, y: 6 }
     ]
   },
   {
@@ -169,7 +281,7 @@ export const levelSettings = [
     wallHP: 100,
     enemies: [
       { name: "Tsortuf Hōsse", symbol: "ꁽ", attack: 10, range: 1, hp: 100, agility: 2, x: 1, y: 1 },
-      { name: "Zoot Alorre", symbol: "ꍕ", attack: 5, range: 1, hp: 100, agility: 19, x: 4, y: 4 },
+      { name: "Zoot Alorre", symbol: "ꍕ", attack: 5, range: 1, hp: 100, agility: 19, behavior: "weakest", x: 4, y: 4 },
       { name: "Wall", symbol: "█", attack: 0, range: 0, hp: 50, agility: 0, x: 4, y: 0 },
       { name: "Wall", symbol: "█", attack: 0, range: 0, hp: 50, agility: 0, x: 5, y: 0 },
       { name: "Wall", symbol: "█", attack: 0, range: 0, hp: 50, agility: 0, x: 5, y: 1 },
@@ -197,9 +309,11 @@ export const levelSettings = [
     cols: 8,
     wallHP: 75,
     generateEnemies: true,
-    enemyGenerator: (rows, cols) => {
+    enemyGenerator: (rows, cols, waveNumber, rng) => {
       const enemies = [];
+      const taken = new Set();
       for (let i = 0; i < 5; i++) {
+        const cell = getRandomOpenCell(rng, null, rows, cols, taken);
         enemies.push({
           name: "Intender",
           symbol: "ꘐ",
@@ -207,8 +321,9 @@ export const levelSettings = [
           range: 10,
           hp: 75,
           agility: 10,
-          x: getRandomInt(0, cols - 1),
-          y: getRandomInt(0, rows - 1)
+          behavior: "kite",
+          x: cell.x,
+          y: cell.y
         });
       }
       return enemies;
@@ -222,7 +337,7 @@ export const levelSettings = [
     wallHP: 100,
     enemies: [
       { name: "Əkaisee", symbol: "ੴ", attack: 10, range: 1, hp: 88, agility: 10, x: 2, y: 2 },
-      { name: "Duppie Zero", symbol: "ਔ", attack: 10, range: 10, hp: 99, agility: 1, x: 7, y: 7 }
+      { name: "Duppie Zero", symbol: "ਔ", attack: 10, range: 10, hp: 99, agility: 1, behavior: "kite", x: 7, y: 7 }
     ]
   },
   {
@@ -235,9 +350,9 @@ export const levelSettings = [
       { name: "Steelgaze", symbol: "Ⳃ", attack: 15, range: 1, hp: 200, agility: 4, x: 3, y: 3 },
       { name: "Steelgaze", symbol: "Ⳃ", attack: 15, range: 1, hp: 200, agility: 4, x: 4, y: 4 },
       { name: "Steelgaze", symbol: "Ⳃ", attack: 15, range: 1, hp: 200, agility: 4, x: 5, y: 5 },
-      { name: "Boughsplitter", symbol: "⳧", attack: 20, range: 2, hp: 200, agility: 2, x: 8, y: 8 },
-      { name: "Boughsplitter", symbol: "⳧", attack: 20, range: 2, hp: 200, agility: 2, x: 9, y: 9 },
-      { name: "Boughsplitter", symbol: "⳧", attack: 20, range: 2, hp: 200, agility: 2, x: 10, y: 10 }
+      { name: "Boughsplitter", symbol: "⳧", attack: 20, range: 2, hp: 200, agility: 2, behavior: "guard", x: 8, y: 8 },
+      { name: "Boughsplitter", symbol: "⳧", attack: 20, range: 2, hp: 200, agility: 2, behavior: "guard", x: 9, y: 9 },
+      { name: "Boughsplitter", symbol: "⳧", attack: 20, range: 2, hp: 200, agility: 2, behavior: "guard", x: 10, y: 10 }
     ]
   },
   {
@@ -246,18 +361,42 @@ export const levelSettings = [
     rows: 10,
     cols: 10,
     wallHP: 350,
+    objectives: [
+      { type: "breakWall" },
+      { type: "defeatBoss", name: "Ge'umdaïƨe", bonus: true }
+    ],
     enemies: [
-      { name: "Ge'umdaïƨe", symbol: "⅌", attack: 100, range: 6, hp: 1000, agility: 6, x: 6, y: 6 },
-      { name: "Coterian", symbol: "ꕥ", attack: 1, range: 1, hp: 55, agility: 22, x: 0, y: 7 },
-      { name: "Coterian", symbol: "ꕥ", attack: 1, range: 1, hp: 55, agility: 22, x: 1, y: 7 },
-      { name: "Coterian", symbol: "ꕥ", attack: 1, range: 1, hp: 55, agility: 22, x: 2, y: 7 },
-      { name: "Coterian", symbol: "ꕥ", attack: 1, range: 1, hp: 55, agility: 22, x: 3, y: 7 },
-      { name: "Coterian", symbol: "ꕥ", attack: 1, range: 1, hp: 55, agility: 22, x: 4, y: 7 },
-      { name: "Coterian", symbol: "ꕥ", attack: 1, range: 1, hp: 55, agility: 22, x: 5, y: 7 },
-      { name: "Coterian", symbol: "ꕥ", attack: 1, range: 1, hp: 55, agility: 22, x: 6, y: 7 },
-      { name: "Coterian", symbol: "ꕥ", attack: 1, range: 1, hp: 55, agility: 22, x: 7, y: 7 },
-      { name: "Coterian", symbol: "ꕥ", attack: 1, range: 1, hp: 55, agility: 22, x: 8, y: 7 },
-      { name: "Coterian", symbol: "ꕥ", attack: 1, range: 1, hp: 55, agility: 22, x: 9, y: 7 }
+      {
+        name: "Ge'umdaïƨe", symbol: "⅌", attack: 100, range: 6, hp: 1000, agility: 6, x: 6, y: 6, boss: true,
+        phases: [
+          {
+            below: 0.6,
+            say: "Coterians, turn inward!",
+            spawn: [
+              { name: "Coterian", symbol: "ꕥ", attack: 1, range: 1, hp: 55, agility: 22, behavior: "protect", protects: "Ge'umdaïƨe" },
+              { name: "Coterian", symbol: "ꕥ", attack: 1, range: 1, hp: 55, agility: 22, behavior: "protect", protects: "Ge'umdaïƨe" }
+            ]
+          },
+          {
+            below: 0.3,
+            say: "Look inward, and despair.",
+            stats: { agility: 10, range: 8 },
+            behavior: "kite",
+            dialogue: ["Look inward.", "߁‎"],
+            battlefield: { obstacles: [{ x: 2, y: 4, hp: 60 }, { x: 4, y: 4, hp: 60 }, { x: 6, y: 4, hp: 60 }, { x: 8, y: 4, hp: 60 }] }
+          }
+        ]
+      },
+      { name: "Coterian", symbol: "ꕥ", attack: 1, range: 1, hp: 55, agility: 22, behavior: "protect", protects: "Ge\'umdaïƨe", x: 0, y: 7 },
+      { name: "Coterian", symbol: "ꕥ", attack: 1, range: 1, hp: 55, agility: 22, behavior: "protect", protects: "Ge\'umdaïƨe", x: 1, y: 7 },
+      { name: "Coterian", symbol: "ꕥ", attack: 1, range: 1, hp: 55, agility: 22, behavior: "protect", protects: "Ge\'umdaïƨe", x: 2, y: 7 },
+      { name: "Coterian", symbol: "ꕥ", attack: 1, range: 1, hp: 55, agility: 22, behavior: "protect", protects: "Ge\'umdaïƨe", x: 3, y: 7 },
+      { name: "Coterian", symbol: "ꕥ", attack: 1, range: 1, hp: 55, agility: 22, behavior: "protect", protects: "Ge\'umdaïƨe", x: 4, y: 7 },
+      { name: "Coterian", symbol: "ꕥ", attack: 1, range: 1, hp: 55, agility: 22, behavior: "protect", protects: "Ge\'umdaïƨe", x: 5, y: 7 },
+      { name: "Coterian", symbol: "ꕥ", attack: 1, range: 1, hp: 55, agility: 22, behavior: "protect", protects: "Ge\'umdaïƨe", x: 6, y: 7 },
+      { name: "Coterian", symbol: "ꕥ", attack: 1, range: 1, hp: 55, agility: 22, behavior: "protect", protects: "Ge\'umdaïƨe", x: 7, y: 7 },
+      { name: "Coterian", symbol: "ꕥ", attack: 1, range: 1, hp: 55, agility: 22, behavior: "protect", protects: "Ge\'umdaïƨe", x: 8, y: 7 },
+      { name: "Coterian", symbol: "ꕥ", attack: 1, range: 1, hp: 55, agility: 22, behavior: "protect", protects: "Ge\'umdaïƨe", x: 9, y: 7 }
     ]
   },
   {
@@ -267,9 +406,15 @@ export const levelSettings = [
     cols: 8,
     wallHP: 400,
     generateEnemies: true,
-    enemyGenerator: (rows, cols) => {
+    waves: 3,
+    restPhase: { rounds: 1, heal: 10 },
+    // Each wave of stalkers comes back a quarter tougher.
+    getWaveStats: waveNumber => ({ hp: 1 + 0.25 * (waveNumber - 1), attack: 1 + 0.25 * (waveNumber - 1) }),
+    enemyGenerator: (rows, cols, waveNumber, rng, layout) => {
       const enemies = [];
+      const taken = new Set();
       for (let i = 0; i < 5; i++) {
+        const cell = getRandomOpenCell(rng, layout, rows, cols, taken);
         enemies.push({
           name: "Shadow Stalker",
           symbol: "☾",
@@ -277,14 +422,15 @@ export const levelSettings = [
           range: 2,
           hp: 100,
           agility: 5,
-          x: getRandomInt(0, cols - 1),
-          y: getRandomInt(0, rows - 1),
+          behavior: "weakest",
+          x: cell.x,
+          y: cell.y,
           dialogue: ["You cannot escape the shadows!", "I am the darkness."]
         });
       }
       return enemies;
     },
-    layout: generateLevelLayout(8, 8, 2, 4, 3, 400).layout
+    layout: (rng) => generateLevelLayout(rng, 8, 8, 2, 4, 3, 12).layout
   },
   {
     level: 12,
@@ -292,12 +438,16 @@ export const levelSettings = [
     rows: 9,
     cols: 9,
     wallHP: 450,
+    objectives: [
+      { type: "reachExit", x: 4, y: 7 },
+      { type: "breakWall", bonus: true }
+    ],
     enemies: [
-      { name: "Ancient Guardian", symbol: "⚔", attack: 20, range: 1, hp: 200, agility: 3, x: 4, y: 4, dialogue: ["You shall not pass!", "I guard these ruins."] },
-      { name: "Ancient Guardian", symbol: "⚔", attack: 20, range: 1, hp: 200, agility: 3, x: 3, y: 3, dialogue: ["You shall not pass!", "I guard these ruins."] },
-      { name: "Ancient Guardian", symbol: "⚔", attack: 20, range: 1, hp: 200, agility: 3, x: 5, y: 5, dialogue: ["You shall not pass!", "I guard these ruins."] }
+      { name: "Ancient Guardian", symbol: "⚔", attack: 20, range: 1, hp: 200, agility: 3, stun: 2, behavior: "guard", x: 4, y: 4, dialogue: ["You shall not pass!", "I guard these ruins."] },
+      { name: "Ancient Guardian", symbol: "⚔", attack: 20, range: 1, hp: 200, agility: 3, stun: 2, behavior: "guard", x: 3, y: 3, dialogue: ["You shall not pass!", "I guard these ruins."] },
+      { name: "Ancient Guardian", symbol: "⚔", attack: 20, range: 1, hp: 200, agility: 3, stun: 2, behavior: "guard", x: 5, y: 5, dialogue: ["You shall not pass!", "I guard these ruins."] }
     ],
-    layout: generateLevelLayout(9, 9, 2, 4, 3, 450).layout
+    layout: (rng, keepOpen) => generateLevelLayout(rng, 9, 9, 2, 4, 3, 14, keepOpen).layout
   },
   {
     level: 13,
@@ -305,10 +455,13 @@ export const levelSettings = [
     rows: 10,
     cols: 10,
     wallHP: 500,
+    objectives: [{ type: "defeatAll" }],
     generateEnemies: true,
-    enemyGenerator: (rows, cols) => {
+    enemyGenerator: (rows, cols, waveNumber, rng, layout) => {
       const enemies = [];
+      const taken = new Set();
       for (let i = 0; i < 7; i++) {
+        const cell = getRandomOpenCell(rng, layout, rows, cols, taken);
         enemies.push({
           name: "Abyssal Fiend",
           symbol: "⛧",
@@ -316,14 +469,15 @@ export const levelSettings = [
           range: 3,
           hp: 150,
           agility: 4,
-          x: getRandomInt(0, cols - 1),
-          y: getRandomInt(0, rows - 1),
+          poison: 3,
+          x: cell.x,
+          y: cell.y,
           dialogue: ["The abyss consumes all!", "You will be devoured."]
         });
       }
       return enemies;
     },
-    layout: generateLevelLayout(10, 10, 2, 4, 3, 500).layout
+    layout: (rng) => generateLevelLayout(rng, 10, 10, 2, 4, 3, 16).layout
   },
   {
     level: 14,
@@ -331,12 +485,16 @@ export const levelSettings = [
     rows: 11,
     cols: 11,
     wallHP: 550,
+    objectives: [
+      { type: "escort", unit: { name: "Lost Wanderer", symbol: "☺", hp: 100, agility: 2 }, x: 10, y: 9 },
+      { type: "defeatAll", bonus: true }
+    ],
     enemies: [
-      { name: "Forest Spirit", symbol: "♆", attack: 30, range: 2, hp: 250, agility: 6, x: 5, y: 5, dialogue: ["The forest protects us!", "You shall not harm nature."] },
-      { name: "Forest Spirit", symbol: "♆", attack: 30, range: 2, hp: 250, agility: 6, x: 4, y: 4, dialogue: ["The forest protects us!", "You shall not harm nature."] },
-      { name: "Forest Spirit", symbol: "♆", attack: 30, range: 2, hp: 250, agility: 6, x: 6, y: 6, dialogue: ["The forest protects us!", "You shall not harm nature."] }
+      { name: "Forest Spirit", symbol: "♆", attack: 30, range: 2, hp: 250, agility: 6, slow: 1, behavior: "protect", x: 5, y: 5, dialogue: ["The forest protects us!", "You shall not harm nature."] },
+      { name: "Forest Spirit", symbol: "♆", attack: 30, range: 2, hp: 250, agility: 6, slow: 1, behavior: "protect", x: 4, y: 4, dialogue: ["The forest protects us!", "You shall not harm nature."] },
+      { name: "Forest Spirit", symbol: "♆", attack: 30, range: 2, hp: 250, agility: 6, slow: 1, behavior: "protect", x: 6, y: 6, dialogue: ["The forest protects us!", "You shall not harm nature."] }
     ],
-    layout: generateLevelLayout(11, 11, 2, 4, 3, 550).layout
+    layout: (rng, keepOpen) => generateLevelLayout(rng, 11, 11, 2, 4, 3, 18, keepOpen).layout
   },
   {
     level: 15,
@@ -344,10 +502,13 @@ export const levelSettings = [
     rows: 12,
     cols: 12,
     wallHP: 600,
+    breachWidth: 2,
     generateEnemies: true,
-    enemyGenerator: (rows, cols) => {
+    enemyGenerator: (rows, cols, waveNumber, rng, layout) => {
       const enemies = [];
+      const taken = new Set();
       for (let i = 0; i < 10; i++) {
+        const cell = getRandomOpenCell(rng, layout, rows, cols, taken);
         enemies.push({
           name: "Crystal Golem",
           symbol: "♦",
@@ -355,14 +516,16 @@ export const levelSettings = [
           range: 1,
           hp: 300,
           agility: 2,
-          x: getRandomInt(0, cols - 1),
-          y: getRandomInt(0, rows - 1),
+          shield: 40,
+          behavior: "guard",
+          x: cell.x,
+          y: cell.y,
           dialogue: ["You will shatter!", "Feel the power of the crystals."]
         });
       }
       return enemies;
     },
-    layout: generateLevelLayout(12, 12, 2, 4, 3, 600).layout
+    layout: (rng) => generateLevelLayout(rng, 12, 12, 2, 4, 3, 20).layout
   },
   {
     level: 16,
@@ -370,12 +533,16 @@ export const levelSettings = [
     rows: 13,
     cols: 13,
     wallHP: 650,
+    objectives: [
+      { type: "survive", rounds: 8 },
+      { type: "defeatAll", bonus: true }
+    ],
     enemies: [
-      { name: "Infernal Demon", symbol: "♨", attack: 40, range: 3, hp: 350, agility: 5, x: 6, y: 6, dialogue: ["Burn in the flames!", "You cannot withstand the heat."] },
-      { name: "Infernal Demon", symbol: "♨", attack: 40, range: 3, hp: 350, agility: 5, x: 5, y: 5, dialogue: ["Burn in the flames!", "You cannot withstand the heat."] },
-      { name: "Infernal Demon", symbol: "♨", attack: 40, range: 3, hp: 350, agility: 5, x: 7, y: 7, dialogue: ["Burn in the flames!", "You cannot withstand the heat."] }
+      { name: "Infernal Demon", symbol: "♨", attack: 40, range: 3, hp: 350, agility: 5, burn: 5, x: 6, y: 6, dialogue: ["Burn in the flames!", "You cannot withstand the heat."] },
+      { name: "Infernal Demon", symbol: "♨", attack: 40, range: 3, hp: 350, agility: 5, burn: 5, x: 5, y: 5, dialogue: ["Burn in the flames!", "You cannot withstand the heat."] },
+      { name: "Infernal Demon", symbol: "♨", attack: 40, range: 3, hp: 350, agility: 5, burn: 5, x: 7, y: 7, dialogue: ["Burn in the flames!", "You cannot withstand the heat."] }
     ],
-    layout: generateLevelLayout(13, 13, 2, 4, 3, 650).layout
+    layout: (rng, keepOpen) => generateLevelLayout(rng, 13, 13, 2, 4, 3, 22, keepOpen).layout
   },
   {
     level: 17,
@@ -384,9 +551,11 @@ export const levelSettings = [
     cols: 14,
     wallHP: 700,
     generateEnemies: true,
-    enemyGenerator: (rows, cols) => {
+    enemyGenerator: (rows, cols, waveNumber, rng, layout) => {
       const enemies = [];
+      const taken = new Set();
       for (let i = 0; i < 12; i++) {
+        const cell = getRandomOpenCell(rng, layout, rows, cols, taken);
         enemies.push({
           name: "Celestial Guardian",
           symbol: "✪",
@@ -394,14 +563,15 @@ export const levelSettings = [
           range: 2,
           hp: 400,
           agility: 4,
-          x: getRandomInt(0, cols - 1),
-          y: getRandomInt(0, rows - 1),
+          behavior: "protect",
+          x: cell.x,
+          y: cell.y,
           dialogue: ["The stars guide us!", "You cannot reach the heavens."]
         });
       }
       return enemies;
     },
-    layout: generateLevelLayout(14, 14, 2, 4, 3, 700).layout
+    layout: (rng) => generateLevelLayout(rng, 14, 14, 2, 4, 3, 24).layout
   },
   {
     level: 18,
@@ -409,12 +579,13 @@ export const levelSettings = [
     rows: 15,
     cols: 15,
     wallHP: 750,
+    wallRegen: 10,
     enemies: [
-      { name: "Arcane Sentinel", symbol: "⚚", attack: 50, range: 4, hp: 450, agility: 6, x: 7, y: 7, dialogue: ["The arcane protects us!", "You shall not breach our sanctum."] },
-      { name: "Arcane Sentinel", symbol: "⚚", attack: 50, range: 4, hp: 450, agility: 6, x: 6, y: 6, dialogue: ["The arcane protects us!", "You shall not breach our sanctum."] },
-      { name: "Arcane Sentinel", symbol: "⚚", attack: 50, range: 4, hp: 450, agility: 6, x: 8, y: 8, dialogue: ["The arcane protects us!", "You shall not breach our sanctum."] }
+      { name: "Arcane Sentinel", symbol: "⚚", attack: 50, range: 4, hp: 450, agility: 6, behavior: "kite", x: 7, y: 7, dialogue: ["The arcane protects us!", "You shall not breach our sanctum."] },
+      { name: "Arcane Sentinel", symbol: "⚚", attack: 50, range: 4, hp: 450, agility: 6, behavior: "kite", x: 6, y: 6, dialogue: ["The arcane protects us!", "You shall not breach our sanctum."] },
+      { name: "Arcane Sentinel", symbol: "⚚", attack: 50, range: 4, hp: 450, agility: 6, behavior: "kite", x: 8, y: 8, dialogue: ["The arcane protects us!", "You shall not breach our sanctum."] }
     ],
-    layout: generateLevelLayout(15, 15, 2, 4, 3, 750).layout
+    layout: (rng, keepOpen) => generateLevelLayout(rng, 15, 15, 2, 4, 3, 26, keepOpen).layout
   },
   {
     level: 19,
@@ -422,10 +593,13 @@ export const levelSettings = [
     rows: 16,
     cols: 16,
     wallHP: 800,
+    wallRegen: 15,
     generateEnemies: true,
-    enemyGenerator: (rows, cols) => {
+    enemyGenerator: (rows, cols, waveNumber, rng, layout) => {
       const enemies = [];
+      const taken = new Set();
       for (let i = 0; i < 15; i++) {
+        const cell = getRandomOpenCell(rng, layout, rows, cols, taken);
         enemies.push({
           name: "Void Wraith",
           symbol: "☠",
@@ -433,14 +607,16 @@ export const levelSettings = [
           range: 3,
           hp: 500,
           agility: 5,
-          x: getRandomInt(0, cols - 1),
-          y: getRandomInt(0, rows - 1),
+          confusion: 1,
+          behavior: "weakest",
+          x: cell.x,
+          y: cell.y,
           dialogue: ["The void consumes all!", "You will be lost in the void."]
         });
       }
       return enemies;
     },
-    layout: generateLevelLayout(16, 16, 2, 4, 3, 800).layout
+    layout: (rng) => generateLevelLayout(rng, 16, 16, 2, 4, 3, 28).layout
   },
   {
     level: 20,
@@ -448,12 +624,18 @@ export const levelSettings = [
     rows: 17,
     cols: 17,
     wallHP: 850,
+    // The whole roster is needed against the Overlords.
+    partySize: 4,
+    objectives: [
+      { type: "defeatBoss", name: "Eternal Overlord" },
+      { type: "breakWall", bonus: true }
+    ],
     enemies: [
-      { name: "Eternal Overlord", symbol: "♛", attack: 60, range: 5, hp: 1000, agility: 7, x: 8, y: 8, dialogue: ["You cannot defeat me!", "I am eternal."] },
-      { name: "Eternal Overlord", symbol: "♛", attack: 60, range: 5, hp: 1000, agility: 7, x: 7, y: 7, dialogue: ["You cannot defeat me!", "I am eternal."] },
-      { name: "Eternal Overlord", symbol: "♛", attack: 60, range: 5, hp: 1000, agility: 7, x: 9, y: 9, dialogue: ["You cannot defeat me!", "I am eternal."] }
+      { ...ETERNAL_OVERLORD, x: 8, y: 8 },
+      { ...ETERNAL_OVERLORD, x: 7, y: 7 },
+      { ...ETERNAL_OVERLORD, x: 9, y: 9 }
     ],
-    layout: generateLevelLayout(17, 17, 2, 4, 3, 850).layout
+    layout: (rng, keepOpen) => generateLevelLayout(rng, 17, 17, 2, 4, 3, 30, keepOpen).layout
   },
   {
     level: 99,
@@ -462,7 +644,7 @@ export const levelSettings = [
     cols: 15,
     wallHP: 100,
     generateEnemies: true,
-    enemyGenerator: (rows, cols) => {
+    enemyGenerator: (rows, cols, waveNumber, rng) => {
       const enemies = [];
       // Define enemy types for a denser, more complex chessboard formation
       const enemyTypes = [
@@ -513,14 +695,53 @@ export const levelSettings = [
   }
 ];
 
-export function getLevel(levelNumber) {
+/**
+ * Generates the enemies of one wave and applies the level's wave stat multipliers.
+ *
+ * @param {Object} level - The level definition.
+ * @param {number} waveNumber - The wave to generate, starting at 1.
+ * @param {Object} rng - The level's seeded generator.
+ * @param {Array|null} layout - The level layout.
+ * @returns {Object[]} The wave's enemies.
+ */
+function generateWave(level, waveNumber, rng, layout) {
+  const enemies = level.enemyGenerator(level.rows, level.cols, waveNumber, rng, layout);
+  const multipliers = typeof level.getWaveStats === "function" ? level.getWaveStats(waveNumber) || {} : {};
+  return enemies.map(enemy => {
+    const scaled = { ...enemy };
+    Object.keys(multipliers).forEach(stat => {
+      if (typeof scaled[stat] === "number") scaled[stat] = Math.round(scaled[stat] * multipliers[stat]);
+    });
+    return scaled;
+  });
+}
+
+// Turns a level's `restPhase` (true, a number of rounds, or { rounds, heal }) into { rounds, heal }.
+function normalizeRestPhase(restPhase) {
+  if (!restPhase) return null;
+  if (restPhase === true) return { rounds: 1, heal: 0 };
+  if (typeof restPhase === "number") return { rounds: restPhase, heal: 0 };
+  return { rounds: restPhase.rounds || 1, heal: restPhase.heal || 0 };
+}
+
+/**
+ * Builds the settings for a level.
+ *
+ * @param {number} levelNumber - The level to load.
+ * @param {Object} [options]
+ * @param {number|string} [options.seed] - Seed for the level's random generation.
+ * @param {Object} [options.rng] - An existing generator from rng.js to share (takes precedence over seed).
+ * @returns {Object|null} The level settings, or null when the level does not exist.
+ */
+export function getLevel(levelNumber, { seed, rng } = {}) {
   const level = levelSettings.find(ls => ls.level === levelNumber);
   if (!level) return null;
-  let enemies;
+  rng = rng || createRng(seed);
+  const generated = level.generateEnemies && typeof level.enemyGenerator === "function";
+  let enemies = null;
 
-  if (level.generateEnemies && typeof level.enemyGenerator === "function") {
-    enemies = level.enemyGenerator(level.rows, level.cols, level.waveNumber || 0);
-  } else {
+  // Fixed enemies are known before the layout, so a generated layout can keep their cells open.
+  if (!generated) {
     enemies = (level.enemies || []).map(enemy => {
       if (enemy.enemyXOffset !== undefined) {
         return {
@@ -529,19 +750,44 @@ export function getLevel(levelNumber) {
           y: Math.floor(level.rows / 2)
         };
       }
-      return enemy;
+      return { ...enemy };
     });
   }
 
+  const objectives = level.objectives || [];
+  const items = level.items || [];
+  const deployment = level.deployment || null;
+  const keepOpen = [...(enemies || []), ...getObjectiveCells(objectives), ...items, ...(deployment || [])];
+  const layout = typeof level.layout === "function" ? level.layout(rng, keepOpen) : level.layout;
+  const waves = generated && level.waves > 1 ? level.waves : 1;
+
+  // Generated enemies are placed after the layout so they can pick open cells.
+  if (generated) {
+    enemies = generateWave(level, 1, rng, layout);
+  }
+
   return {
     rows: level.rows,
     cols: level.cols,
     wallHP: level.wallHP,
     title: level.title,
     enemies,
+    waves,
+    restPhase: waves > 1 ? normalizeRestPhase(level.restPhase) : null,
+    // Called by the BattleEngine for waves 2 and up.
+    generateWave: waveNumber => generateWave(level, waveNumber, rng, layout),
     onWaveComplete: level.onWaveComplete,
     getWaveStats: level.getWaveStats,
-    layout: level.layout // Ensure layout property is included in the returned level object
+    objectives,
+    wallCollapse: level.wallCollapse,
+    breachWidth: level.breachWidth,
+    wallRegen: level.wallRegen,
+    items,
+    randomItems: level.randomItems,
+    deployment,
+    partySize: level.partySize,
+    layout, // Consumed by the BattleEngine through options.levelSettings
+    seed: rng.seed
   };
 }
 
@@ -549,7 +795,7 @@ export function hasDialogue(entity) {
   return Array.isArray(entity.dialogue) && entity.dialogue.length > 0;
 }
 
-export function getRandomDialogue(entity) {
+export function getRandomDialogue(entity, rng = createRng()) {
   if (!hasDialogue(entity)) return null;
-  return entity.dialogue[Math.floor(Math.random() * entity.dialogue.length)];
+  return rng.pick(entity.dialogue);
 }
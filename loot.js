@@ -0,0 +1,60 @@
+/**
+ * loot.js
+ *
+ * This module holds the loot tables used by the BattleEngine. A defeated enemy adds
+ * coins to the party purse and may drop items (see items.js) on the cell where it fell.
+ * Tables are keyed by enemy name, so every enemy of a type drops the same kind of loot;
+ * an enemy can bring its own table with `loot` in levels.js.
+ *
+ * Each table declares:
+ * - coins: [min, max] coins added to the purse.
+ * - items: Optional list of `{ type, chance }`; each item drops with its own chance.
+ *
+ * Enemies without a table drop about one coin per 20 HP of their starting HP.
+ *
+ * Functions:
+ * - getLootTable(enemy): Returns the table an enemy drops from.
+ * - rollLoot(enemy, rng): Rolls an enemy's loot.
+ */
+
+export const LOOT_TABLES = {
+  'Brigand': { coins: [2, 4], items: [{ type: 'throwingKnife', chance: 0.2 }] },
+  'Buckleman': { coins: [3, 5], items: [{ type: 'ironBuckler', chance: 0.1 }] },
+  'Coterian': { coins: [1, 2], items: [{ type: 'featherCharm', chance: 0.05 }] },
+  'Getter': { coins: [4, 8], items: [{ type: 'vittle', chance: 0.3 }] },
+  'Taker': { coins: [4, 8], items: [{ type: 'vittle', chance: 0.3 }] },
+  'Stonch Hogan': { coins: [10, 15], items: [{ type: 'spikedClub', chance: 0.5 }] },
+  'Ge\'umdaïƨe': { coins: [40, 60], items: [{ type: 'firebomb', chance: 1 }] },
+  'Eternal Overlord': { coins: [50, 80], items: [{ type: 'stormRod', chance: 0.5 }] },
+  // Walls posing as enemies are not worth anything.
+  'Static Wall': { coins: [0, 0] },
+  'Wall': { coins: [0, 0] }
+};
+
+/**
+ * Returns the loot table an enemy drops from.
+ *
+ * @param {Object} enemy - The enemy.
+ * @returns {{coins: number[], items?: Object[]}} The table.
+ */
+export function getLootTable(enemy) {
+  if (enemy.loot) return enemy.loot;
+  if (LOOT_TABLES[enemy.name]) return LOOT_TABLES[enemy.name];
+  const coins = Math.max(1, Math.round((enemy.maxHp || enemy.hp || 0) / 20));
+  return { coins: [Math.max(1, coins - 1), coins + 1] };
+}
+
+/**
+ * Rolls the loot of a defeated enemy.
+ *
+ * @param {Object} enemy - The enemy.
+ * @param {Object} rng - The battle's seeded generator (see rng.js).
+ * @returns {{coins: number, items: string[]}} The coins and the item types dropped.
+ */
+export function rollLoot(enemy, rng) {
+  const table = getLootTable(enemy);
+  const [min, max] = table.coins || [0, 0];
+  const coins = max > 0 ? rng.int(min, max) : 0;
+  const items = (table.items || []).filter(drop => rng.next() < drop.chance).map(drop => drop.type);
+  return { coins, items };
+}
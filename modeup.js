@@ -2,25 +2,67 @@
  * modeup.js
  * 
  * This file contains the logic for powering up heroes ("mode up")
- * when a level is completed. It exports two functions:
- *  - getModeUpBuff: Computes the buff values based on the chosen hero and level.
+ * when a level is completed. It exports these functions:
+ *  - getModeUpBuff: Computes the hero's signature buff based on the chosen hero and level.
+ *  - getTalentTree: The hero's talent tree, the options a mode up is drawn from.
+ *  - getModeUpOptions: The two or three talents a hero offers at a mode up.
+ *  - previewModeUp: What a buff would change for every hero in the party.
  *  - applyModeUp: Applies the computed buff values to the entire party and logs a message.
  *
+ * Talent trees:
+ * - Each talent declares `id`, `label`, `buff` and optionally `requires` (ids of talents
+ *   that must have been taken first) and `once` (it can only be taken once). `buff` is
+ *   either per-level amounts, multiplied by the level like `modeUpBuff`, "signature" for
+ *   the hero's signature buff, or a function `(hero, level) => buff`.
+ * - Whichever hero is chosen, the buff goes to the whole party.
+ * - Every hero in heroes.js declares its own `talentTree`, built around its stats;
+ *   DEFAULT_TALENTS is the fallback for heroes without one.
+ * - The talents a hero has taken are kept in `hero.talentsTaken` (ids, in order).
+ *
  * Updates:
- * - The Wizard now gains an increase to his "chain" stat.
  * - The Sycophant's mode up now gives him +1 in every stat.
- *  - The Berserker now increases his "rage" stat with mode up.
- *  - The Jester now increases his "trick" stat with mode up.
- *  - Added the new "ankh" stat for heroes. Heroes that have a nonzero "ankh" stat
- *    (for instance, Kemetic) may get their "ankh" stat increased during mode up.
- *  - Now including the "rise" stat for heroes like Greenjay.
  *  - After mode up, if a hero had been marked as dead but now has a nonzero "rise" stat
  *    (or gains a rise buff), the hero's death marker is removed, allowing the hero to come back.
+ *  - Stat names in messages and the Sycophant's "every stat" buff come from the stat
+ *    registry in stats.js.
  */
 
+import { STATS, formatStatChanges } from "./stats.js";
+
+// How many talents a hero offers at each mode up.
+export const MODE_UP_OPTIONS = 3;
+
+// The talent tree of heroes without their own `talentTree`.
+export const DEFAULT_TALENTS = [
+  { id: "signature", label: "Signature", buff: "signature" },
+  { id: "vigor", label: "Vigor", buff: { hp: 2 } },
+  { id: "edge", label: "Edge", buff: { attack: 1 }, requires: ["signature"] },
+  { id: "stride", label: "Stride", buff: { agility: 1 }, requires: ["vigor"], once: true },
+  { id: "reach", label: "Reach", buff: () => ({ range: 1 }), requires: ["edge", "stride"], once: true },
+  {
+    id: "apotheosis",
+    label: "Apotheosis",
+    // The signature buff, twice over.
+    buff: (hero, level) => scaleBuff(getModeUpBuff(hero, level), 2),
+    requires: ["reach"],
+    once: true
+  }
+];
+
+// Multiplies every amount of a buff.
+function scaleBuff(buff, factor) {
+  const scaled = {};
+  Object.keys(buff).forEach(stat => {
+    scaled[stat] = buff[stat] * factor;
+  });
+  return scaled;
+}
+
 /**
  * Computes the mode up buff values for the chosen hero based on the level.
- * The function uses the hero's name to determine which stats get boosted.
+ * A hero may declare its own buff per level as `modeUpBuff` in heroes.js. Heroes with
+ * their own talent tree spell their buffs out there; this is the "signature" talent and
+ * the fallback for heroes without a tree.
  *
  * @param {Object} chosenHero - the hero that has been chosen for mode up.
  * @param {number} level - the level of mode up (used as increment multiplier).
@@ -28,99 +70,87 @@
  */
 export function getModeUpBuff(chosenHero, level) {
   const buffIncrement = level;
-  // Use a switch for cleaner structure.
-  switch (chosenHero.name) {
-    case "Knight":
-      // Knight gets increased attack and HP.
-      return { attack: 1 * buffIncrement, hp: 2 * buffIncrement };
-    case "Archer":
-      // Archer gets increased range.
-      return { range: 1 * buffIncrement };
-    case "Berserker":
-      // Berserker gets a boost to attack and increases his rage stat.
-      return { attack: 3 * buffIncrement, rage: 1 * buffIncrement };
-    case "Rogue":
-      // Rogue receives additional agility.
-      return { agility: 2 * buffIncrement };
-    case "Torcher":
-      // Torcher's burn damage increases.
-      return { burn: 1 * buffIncrement };
-    case "Slüjier":
-      // Slüjier's "sluj" increases.
-      return { sluj: 1 * buffIncrement };
-    case "Cleric":
-      // Cleric's healing power increases.
-      return { heal: 2 * buffIncrement };
-    case "Jester":
-      // Jester's trick stat increases.
-      return { trick: 1 * buffIncrement };
-    case "Sycophant":
-      // Sycophant gains +1 in every stat.
-      return {
-        attack: 1 * buffIncrement,
-        hp: 1 * buffIncrement,
-        range: 1 * buffIncrement,
-        agility: 1 * buffIncrement,
-        burn: 1 * buffIncrement,
-        sluj: 1 * buffIncrement,
-        heal: 1 * buffIncrement,
-        ghis: 1 * buffIncrement,
-        yeet: 1 * buffIncrement,
-        swarm: 1 * buffIncrement,
-        spicy: 1 * buffIncrement,
-        armor: 1 * buffIncrement,
-        spore: 1 * buffIncrement,
-        chain: 1 * buffIncrement,
-        caprice: 1 * buffIncrement,
-        fate: 1 * buffIncrement,
-        rage: 1 * buffIncrement,
-      };
-    case "Yeetrian":
-      // Yeetrian's knockback increases.
-      return { yeet: 1 * buffIncrement };
-    case "Mellitron":
-      // Mellitron's swarm increases.
-      return { swarm: 1 * buffIncrement };
-    case "Gastronomer":
-      // Gastronomer's spicy stat increases.
-      return { spicy: 1 * buffIncrement };
-    case "Palisade":
-      // Palisade's armor increases.
-      return { armor: 1 * buffIncrement };
-    case "Mycelian":
-      // Mycelian's spore increases.
-      return { spore: 1 * buffIncrement };
-    case "Wizard":
-      // The Wizard's chain stat increases.
-      return { chain: 1 * buffIncrement };
-    case "Nonsequiteur":
-      // Nonsequiteur's caprice increases.
-      return { caprice: 1 * buffIncrement };
-    case "Soothscribe":
-      // Soothscribe's fate increases.
-      return { fate: 1 * buffIncrement };
-    case "Meatwalker":
-      // Meatwalker's bulk increases.
-      return { bulk: 1 * buffIncrement };
-    case "Shrink":
-      // Shrink's psych stat increases.
-      return { psych: 1 * buffIncrement };
-    case "Kemetic":
-      // Kemetic gets a boost in his ankh stat.
-      return { ankh: 1 * buffIncrement };
-    case "Greenjay":
-      // Greenjay gains an increase to his rise stat.
-      return { rise: 1 * buffIncrement };
-    case "Sysiphuge":
-      // Sysiphuge's dodge increases.
-      return { dodge: 1 * buffIncrement };
-    case "Bombador":
-      // Bombador's bomba stat increases.
-      return { bomba: 1 * buffIncrement };
-    default:
-      // Fallback for heroes with no defined buff – boost a generic stat.
-      return { ghis: 1 * buffIncrement };
+  if (chosenHero.modeUpBuff) {
+    const buff = {};
+    Object.keys(chosenHero.modeUpBuff).forEach(stat => {
+      buff[stat] = chosenHero.modeUpBuff[stat] * buffIncrement;
+    });
+    return buff;
+  }
+  // The Sycophant gains +1 in every stat.
+  if (chosenHero.name === "Sycophant") {
+    const buff = {};
+    STATS.filter(stat => stat.everyStat).forEach(stat => {
+      buff[stat.key] = 1 * buffIncrement;
+    });
+    return buff;
   }
+  // Fallback for heroes with no defined buff – boost a generic stat.
+  return { ghis: 1 * buffIncrement };
+}
+
+/**
+ * Returns a hero's talent tree.
+ *
+ * @param {Object} hero - the hero.
+ * @returns {Object[]} The talents, in tree order.
+ */
+export function getTalentTree(hero) {
+  return hero.talentTree || DEFAULT_TALENTS;
+}
+
+/**
+ * Works out the buff a talent gives at a level.
+ *
+ * @param {Object} talent - a talent from the hero's tree.
+ * @param {Object} hero - the hero offering it.
+ * @param {number} level - the mode up level.
+ * @returns {Object} The buff amounts for each stat.
+ */
+export function getTalentBuff(talent, hero, level) {
+  if (talent.buff === "signature") return getModeUpBuff(hero, level);
+  return typeof talent.buff === "function" ? talent.buff(hero, level) : scaleBuff(talent.buff, level);
+}
+
+/**
+ * Lists the talents a hero offers at a mode up: those whose prerequisites have been taken
+ * and that are not used up, talents taken least often first, then in tree order.
+ *
+ * @param {Object} hero - the hero.
+ * @param {number} level - the mode up level.
+ * @returns {Array<{talent: Object, buff: Object}>} Up to MODE_UP_OPTIONS options.
+ */
+export function getModeUpOptions(hero, level) {
+  const taken = hero.talentsTaken || [];
+  const timesTaken = talent => taken.filter(id => id === talent.id).length;
+  return getTalentTree(hero)
+    .filter(talent => (talent.requires || []).every(id => taken.includes(id)))
+    .filter(talent => !(talent.once && timesTaken(talent) > 0))
+    .map((talent, order) => ({ talent, order, times: timesTaken(talent) }))
+    .sort((a, b) => a.times - b.times || a.order - b.order)
+    .slice(0, MODE_UP_OPTIONS)
+    .map(({ talent }) => ({ talent, buff: getTalentBuff(talent, hero, level) }));
+}
+
+// What a buff changes for one hero: HP only goes to heroes who are still alive.
+function getHeroChanges(hero, buff) {
+  const changes = {};
+  Object.keys(buff).forEach(stat => {
+    if (stat === "hp" && hero.hp <= 0) return;
+    changes[stat] = buff[stat];
+  });
+  return changes;
+}
+
+/**
+ * Previews a mode up: the stat changes every hero in the party would get.
+ *
+ * @param {Object} buff - the buff to apply.
+ * @param {Array} party - the array of heroes in the party.
+ * @returns {Array<{hero: Object, changes: Object}>} The changes per hero.
+ */
+export function previewModeUp(buff, party) {
+  return party.map(hero => ({ hero, changes: getHeroChanges(hero, buff) }));
 }
 
 /**
@@ -130,55 +160,29 @@ export function getModeUpBuff(chosenHero, level) {
  * @param {number} level - the mode up level (increment multiplier).
  * @param {Array} party - the array of heroes in the party.
  * @param {function} logCallback - function used to log messages.
+ * @param {Object} [option] - the option picked from getModeUpOptions; the hero's
+ *   signature buff when omitted.
+ * @returns {{level: number, hero: string, talent: string, buff: Object}} The choice, for
+ *   the run's mode-up history.
  */
-export function applyModeUp(chosenHero, level, party, logCallback) {
-  const buff = getModeUpBuff(chosenHero, level);
-  const messageParts = [];
-
-  if (buff.hp) messageParts.push(`+${buff.hp} HP`);
-  if (buff.attack) messageParts.push(`+${buff.attack} Attack`);
-  if (buff.range) messageParts.push(`+${buff.range} Range`);
-  if (buff.agility) messageParts.push(`+${buff.agility} Agility`);
-  if (buff.burn) messageParts.push(`+${buff.burn} Burn`);
-  if (buff.sluj) messageParts.push(`+${buff.sluj} Slüj`);
-  if (buff.heal) messageParts.push(`+${buff.heal} Heal`);
-  if (buff.trick) messageParts.push(`+${buff.trick} Trick`);
-  if (buff.ghis) messageParts.push(`+${buff.ghis} Ghïs`);
-  if (buff.yeet) messageParts.push(`+${buff.yeet} Yeet`);
-  if (buff.swarm) messageParts.push(`+${buff.swarm} Swarm`);
-  if (buff.spicy) messageParts.push(`+${buff.spicy} Spicy`);
-  if (buff.armor) messageParts.push(`+${buff.armor} Armor`);
-  if (buff.spore) messageParts.push(`+${buff.spore} Spore`);
-  if (buff.chain) messageParts.push(`+${buff.chain} Chain`);
-  if (buff.caprice) messageParts.push(`+${buff.caprice} Caprice`);
-  if (buff.fate) messageParts.push(`+${buff.fate} Fate`);
-  if (buff.rage) messageParts.push(`+${buff.rage} Rage`);
-  if (buff.bulk) messageParts.push(`+${buff.bulk} Bulk`);
-  if (buff.psych) messageParts.push(`+${buff.psych} Psych`);
-  if (buff.ankh) messageParts.push(`+${buff.ankh} Ankh`);
-  if (buff.rise) messageParts.push(`+${buff.rise} Rise`);
-  if (buff.dodge) messageParts.push(`+${buff.dodge} Dodge`);
-  if (buff.bomba) messageParts.push(`+${buff.bomba} Bomba`);
-
+export function applyModeUp(chosenHero, level, party, logCallback, option) {
+  const buff = option ? option.buff : getModeUpBuff(chosenHero, level);
+  const talent = option ? option.talent : DEFAULT_TALENTS[0];
+  const messageParts = formatStatChanges(buff);
+  chosenHero.talentsTaken = [...(chosenHero.talentsTaken || []), talent.id];
 
   const message = messageParts.length > 0
-    ? `${chosenHero.name} empowers the party with ${messageParts.join(", ")}!`
+    ? `${chosenHero.name} empowers the party with ${talent.label}: ${messageParts.join(", ")}!`
     : `${chosenHero.name} tries to mode up but nothing happens...`;
 
   // Apply the buffs to each hero in the party.
   party.forEach((hero) => {
-    for (let stat in buff) {
-      // For hp, only buff if the hero is still alive.
-      if (stat === "hp") {
-        if (hero.hp > 0) {
-          hero.hp += buff[stat];
-        }
-      } else {
-        if (!hero.hasOwnProperty(stat)) {
-          hero[stat] = 0;
-        }
-        hero[stat] += buff[stat];
+    const changes = getHeroChanges(hero, buff);
+    for (let stat in changes) {
+      if (!hero.hasOwnProperty(stat)) {
+        hero[stat] = 0;
       }
+      hero[stat] += changes[stat];
     }
     // If a hero was previously marked as dead (persistentDeath exists) but now has a nonzero rise,
     // remove the death marker so that they can come back.
@@ -193,4 +197,5 @@ export function applyModeUp(chosenHero, level, party, logCallback) {
   });
 
   logCallback(message);
+  return { level, hero: chosenHero.name, talent: talent.label, buff };
 }
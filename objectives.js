@@ -0,0 +1,105 @@
+/**
+ * objectives.js
+ *
+ * This module holds the level objective registry used by the BattleEngine. A level lists
+ * its objectives in levels.js as `objectives: [{ type: "defeatBoss", name: "..." }, ...]`;
+ * levels without any have to break the wall, as before. The level is complete once
+ * every required objective is done. Objectives marked `bonus: true` are optional and
+ * only reported. A required objective that fails (e.g. the escorted unit falls) ends
+ * the game.
+ *
+ * Each definition declares:
+ * - label(objective):               Text for the objective list in the battle UI.
+ * - progress(engine, objective):    Optional progress text, e.g. "3/8".
+ * - cells(objective):               Optional cells that have to stay open (exits).
+ * - isComplete(engine, objective):  Whether the objective is done.
+ * - isFailed(engine, objective):    Optional; whether it can no longer be done.
+ *
+ * Objective types and their properties:
+ * - breakWall:             Bring the level wall down.
+ * - defeatAll:             Defeat every enemy, including every wave of a wave level.
+ * - defeatBoss { name }:   Defeat every enemy with that name.
+ * - survive { rounds }:    Last the given number of rounds.
+ * - reachExit { x, y }:    Move a hero onto the exit cell.
+ * - escort { unit, x, y }: Bring an allied unit to the exit cell. `unit` is
+ *                          `{ name, symbol, hp, agility }`; it starts next to the
+ *                          heroes, walks to the exit on its own turns and can be
+ *                          attacked (and healed) like a hero.
+ *
+ * Functions:
+ * - getObjectiveDefinition(type): Returns the definition of an objective type.
+ * - getObjectiveCells(objectives): The exit cells of a list of objectives.
+ * - describeObjective(engine, objective): Text of an objective with its progress.
+ */
+
+const isOnCell = (unit, objective) => unit.x === objective.x && unit.y === objective.y;
+
+export const OBJECTIVES = {
+  breakWall: {
+    label: () => 'Break the wall',
+    isComplete: engine => engine.wallBroken
+  },
+  defeatAll: {
+    label: () => 'Defeat every enemy',
+    progress: engine => (engine.totalWaves > 1 ? `wave ${engine.waveNumber}/${engine.totalWaves}` : ''),
+    isComplete: engine => engine.waveNumber >= engine.totalWaves && !engine.enemies.some(enemy => engine.isEnemy(enemy))
+  },
+  defeatBoss: {
+    label: objective => `Defeat ${objective.name}`,
+    isComplete: (engine, objective) => !engine.enemies.some(enemy => engine.isEnemy(enemy) && enemy.name === objective.name)
+  },
+  survive: {
+    label: objective => `Survive ${objective.rounds} rounds`,
+    progress: (engine, objective) => `${Math.min(Math.max(engine.round - 1, 0), objective.rounds)}/${objective.rounds}`,
+    // Round N + 1 starting means N full rounds are behind the heroes.
+    isComplete: (engine, objective) => engine.round > objective.rounds
+  },
+  reachExit: {
+    label: () => 'Reach the exit',
+    cells: objective => [{ x: objective.x, y: objective.y }],
+    isComplete: (engine, objective) => engine.getLiveHeroes().some(hero => isOnCell(hero, objective))
+  },
+  escort: {
+    label: objective => `Escort ${objective.unit.name} to the exit`,
+    progress: (engine, objective) => (objective.ally && engine.isAlly(objective.ally) ? `HP ${objective.ally.hp}` : ''),
+    cells: objective => [{ x: objective.x, y: objective.y }],
+    isComplete: (engine, objective) => engine.isAlly(objective.ally) && isOnCell(objective.ally, objective),
+    isFailed: (engine, objective) => !engine.isAlly(objective.ally)
+  }
+};
+
+/**
+ * Returns the definition of an objective type.
+ *
+ * @param {string} type - The objective type (a key of OBJECTIVES).
+ * @returns {Object|null} The definition, or null for unknown types.
+ */
+export function getObjectiveDefinition(type) {
+  return OBJECTIVES[type] || null;
+}
+
+/**
+ * Lists the exit cells of a level's objectives, which layouts have to keep open.
+ *
+ * @param {Object[]} objectives - Objectives as declared in levels.js.
+ * @returns {Array<{x: number, y: number}>} The cells.
+ */
+export function getObjectiveCells(objectives) {
+  return objectives.flatMap(objective => {
+    const definition = getObjectiveDefinition(objective.type);
+    return definition && definition.cells ? definition.cells(objective) : [];
+  });
+}
+
+/**
+ * Describes an objective for the battle UI, e.g. "Survive 8 rounds (3/8)".
+ *
+ * @param {Object} engine - The BattleEngine.
+ * @param {Object} objective - One of the engine's objectives.
+ * @returns {string} The description.
+ */
+export function describeObjective(engine, objective) {
+  const definition = getObjectiveDefinition(objective.type);
+  const progress = definition.progress && objective.status === 'active' ? definition.progress(engine, objective) : '';
+  return `${definition.label(objective)}${progress ? ` (${progress})` : ''}`;
+}
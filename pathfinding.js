@@ -0,0 +1,69 @@
+/**
+ * pathfinding.js
+ *
+ * This module provides A* pathfinding on the battlefield grid for enemy movement.
+ * Movement is in the four cardinal directions and every step costs 1. Callers decide
+ * which cells can be entered, so the same search works around walls, obstacles and
+ * other units.
+ *
+ * Functions:
+ * - findPath(start, goals, isPassable, bounds): Shortest path from a cell to the
+ *   nearest of several goal cells.
+ */
+
+const STEPS = [[0, -1], [0, 1], [-1, 0], [1, 0]];
+
+const key = (x, y) => `${x},${y}`;
+
+/**
+ * Finds a shortest path from `start` to the nearest goal cell with A*.
+ * Goal cells must be passable, except when the start cell is itself a goal.
+ *
+ * @param {{x: number, y: number}} start - The cell to start from.
+ * @param {Array<{x: number, y: number}>} goals - Acceptable end cells.
+ * @param {function(number, number): boolean} isPassable - Whether a cell can be entered.
+ * @param {{rows: number, cols: number}} bounds - The size of the battlefield.
+ * @returns {Array<{x: number, y: number}>|null} The cells to walk through, excluding
+ *   `start` (empty when start is a goal), or null if no goal can be reached.
+ */
+export function findPath(start, goals, isPassable, { rows, cols }) {
+  if (goals.length === 0) return null;
+  const goalKeys = new Set(goals.map(goal => key(goal.x, goal.y)));
+  if (goalKeys.has(key(start.x, start.y))) return [];
+  // Manhattan distance to the closest goal never overestimates on a 4-way grid.
+  const heuristic = (x, y) => Math.min(...goals.map(goal => Math.abs(goal.x - x) + Math.abs(goal.y - y)));
+
+  const open = [{ x: start.x, y: start.y, g: 0, f: heuristic(start.x, start.y) }];
+  const cameFrom = new Map();
+  const bestCost = new Map([[key(start.x, start.y), 0]]);
+
+  while (open.length > 0) {
+    // The grids are small, so a linear scan for the best node is enough.
+    let bestIndex = 0;
+    for (let i = 1; i < open.length; i++) {
+      if (open[i].f < open[bestIndex].f || (open[i].f === open[bestIndex].f && open[i].g > open[bestIndex].g)) bestIndex = i;
+    }
+    const current = open.splice(bestIndex, 1)[0];
+    const currentKey = key(current.x, current.y);
+    if (goalKeys.has(currentKey)) {
+      const path = [];
+      for (let k = currentKey; k !== key(start.x, start.y); k = cameFrom.get(k)) {
+        const [x, y] = k.split(',').map(Number);
+        path.unshift({ x, y });
+      }
+      return path;
+    }
+    if (current.g > bestCost.get(currentKey)) continue;
+    STEPS.forEach(([dx, dy]) => {
+      const x = current.x + dx, y = current.y + dy;
+      if (x < 0 || y < 0 || x >= cols || y >= rows || !isPassable(x, y)) return;
+      const nextKey = key(x, y);
+      const g = current.g + 1;
+      if (bestCost.has(nextKey) && bestCost.get(nextKey) <= g) return;
+      bestCost.set(nextKey, g);
+      cameFrom.set(nextKey, currentKey);
+      open.push({ x, y, g, f: g + heuristic(x, y) });
+    });
+  }
+  return null;
+}
@@ -0,0 +1,88 @@
+/**
+ * rng.js
+ *
+ * This module provides the seedable pseudo-random number generator shared by the
+ * battle engine, Summit Mode and the level generators. Every random roll in a run
+ * goes through one of these generators, so a run can be replayed from its seed.
+ *
+ * Functions:
+ * - createRng(seed): Returns a generator object ({ seed, next, int, pick }).
+ * - hashSeed(value): Turns a number or any string typed by the player into a seed.
+ * - deriveSeed(seed, salt): Derives a stable sub-seed (e.g. one per level).
+ * - randomSeed(): Picks a fresh seed when the player did not enter one.
+ */
+
+/**
+ * Converts a number or string into an unsigned 32-bit seed.
+ * Numeric strings map to their own value so a displayed seed can be typed back in.
+ *
+ * @param {number|string} value - The seed as entered by the player or code.
+ * @returns {number} An unsigned 32-bit integer seed.
+ */
+export function hashSeed(value) {
+  if (typeof value === "number" && Number.isFinite(value)) return Math.floor(value) >>> 0;
+  const text = String(value).trim();
+  if (/^\d+$/.test(text)) return Number(text) >>> 0;
+  // FNV-1a hash for free-text seeds.
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+}
+
+/**
+ * Picks a fresh seed for a run. This is the only roll in the game code that is not seeded.
+ *
+ * @returns {number} An unsigned 32-bit integer seed.
+ */
+export function randomSeed() {
+  return Math.floor(Math.random() * 0x100000000) >>> 0;
+}
+
+/**
+ * Derives a stable sub-seed from a run seed, so each level (or mode) gets its own
+ * reproducible stream regardless of what happened earlier in the run.
+ *
+ * @param {number} seed - The run seed.
+ * @param {number|string} salt - What the sub-seed is for (a level number, "summit", ...).
+ * @returns {number} An unsigned 32-bit integer seed.
+ */
+export function deriveSeed(seed, salt) {
+  return hashSeed(`${hashSeed(seed)}:${salt}`);
+}
+
+/**
+ * Creates a seeded generator (mulberry32).
+ *
+ * @param {number|string} [seed] - The seed; a random one is chosen when omitted.
+ * @returns {{seed: number, next: function(): number, int: function(number, number): number, pick: function(Array): *}}
+ */
+export function createRng(seed = randomSeed()) {
+  const normalizedSeed = hashSeed(seed);
+  let state = normalizedSeed;
+
+  // Returns a float in [0, 1), like Math.random().
+  function next() {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  }
+
+  // Returns an integer in [min, max], inclusive on both ends.
+  function int(min, max) {
+    min = Math.ceil(min);
+    max = Math.floor(max);
+    return Math.floor(next() * (max - min + 1)) + min;
+  }
+
+  // Returns a random element of the array (undefined for an empty array).
+  function pick(array) {
+    return array[Math.floor(next() * array.length)];
+  }
+
+  return { seed: normalizedSeed, next, int, pick };
+}
@@ -0,0 +1,88 @@
+/**
+ * roster.js
+ *
+ * This module holds the party rules: how many heroes take the field and the reserve
+ * bench of extra recruited heroes. The party select screen recruits the party plus up to
+ * BENCH_SIZE reserves; between levels reserves can be swapped in, e.g. for heroes lost to
+ * persistent death. A level may field a different number of heroes with `partySize` in
+ * levels.js; the party is then filled from the bench or sent to it (see fitParty).
+ *
+ * Functions:
+ * - getPartySize(levelSettings): How many heroes a level fields.
+ * - isFallen(hero): Whether a hero is lost to persistent death.
+ * - formRoster(heroes, partySize): Splits the recruited heroes into party and bench.
+ * - fitParty(party, bench, size): Moves heroes between party and bench to fit a size.
+ * - swapReserve(party, bench, partyIndex, benchIndex): Swaps a party hero with a reserve.
+ */
+
+// Heroes recruited into the party, and fielded unless the level says otherwise.
+export const DEFAULT_PARTY_SIZE = 3;
+// Extra heroes that can be recruited onto the bench.
+export const BENCH_SIZE = 2;
+
+/**
+ * Returns how many heroes a level fields.
+ *
+ * @param {Object} [levelSettings] - The level from getLevel().
+ * @returns {number} The party size: the level's `partySize`, or DEFAULT_PARTY_SIZE.
+ */
+export function getPartySize(levelSettings) {
+  return (levelSettings && levelSettings.partySize) || DEFAULT_PARTY_SIZE;
+}
+
+/**
+ * Whether a hero is lost to persistent death.
+ *
+ * @param {Object} hero - A hero.
+ * @returns {boolean} True for fallen heroes.
+ */
+export function isFallen(hero) {
+  return !!hero.persistentDeath;
+}
+
+/**
+ * Splits the recruited heroes into the party and the bench, in recruiting order.
+ *
+ * @param {Array} heroes - The recruited heroes.
+ * @param {number} [partySize] - How many of them take the field.
+ * @returns {{party: Array, bench: Array}} The party and the reserves.
+ */
+export function formRoster(heroes, partySize = DEFAULT_PARTY_SIZE) {
+  return { party: heroes.slice(0, partySize), bench: heroes.slice(partySize) };
+}
+
+/**
+ * Moves heroes between the party and the bench to bring the party to `size` heroes, as
+ * far as the standing reserves allow. Fallen heroes leave the party first and only
+ * standing reserves join. Both arrays are changed in place.
+ *
+ * @param {Array} party - The party.
+ * @param {Array} bench - The reserves.
+ * @param {number} size - The party size wanted.
+ */
+export function fitParty(party, bench, size) {
+  while (party.length > size) {
+    const fallen = party.findIndex(isFallen);
+    const [hero] = party.splice(fallen >= 0 ? fallen : party.length - 1, 1);
+    bench.push(hero);
+  }
+  while (party.length < size) {
+    const standing = bench.findIndex(hero => !isFallen(hero));
+    if (standing < 0) break;
+    party.push(bench.splice(standing, 1)[0]);
+  }
+}
+
+/**
+ * Swaps a party hero with a reserve. Both arrays are changed in place.
+ *
+ * @param {Array} party - The party.
+ * @param {Array} bench - The reserves.
+ * @param {number} partyIndex - The party hero going to the bench.
+ * @param {number} benchIndex - The reserve taking their place.
+ */
+export function swapReserve(party, bench, partyIndex, benchIndex) {
+  const hero = party[partyIndex];
+  party[partyIndex] = bench[benchIndex];
+  bench[benchIndex] = hero;
+}
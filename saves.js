@@ -0,0 +1,213 @@
+/**
+ * saves.js
+ *
+ * This module holds saved runs. The page saves the run it is playing to one of
+ * SAVE_SLOTS slots in localStorage whenever it reaches a level boundary (the shop, the
+ * mode up, the bench and the start of each level) and after every input during a
+ * battle, so "Continue" on the title screen picks the run up after a refresh.
+ *
+ * A save is plain JSON:
+ * - version:        SAVE_VERSION when it was written.
+ * - savedAt:        ISO date of the save.
+ * - phase:          Where the run continues: "battle", "shop", "modeUp" or "bench".
+ * - level, runSeed: The level and the seed of the run (see rng.js).
+ * - party, bench, purse, modeUpHistory: The run's heroes, coins and mode-up choices.
+ * - inputs:         For "battle" saves, the player inputs given so far in the battle, as
+ *                   [command, ...args]. Battles are not stored cell by cell: party, bench
+ *                   and purse are kept as they were when the battle started, and the seeded
+ *                   engine replays the inputs to rebuild the battle exactly.
+ *
+ * Saves can be exported as JSON text and imported again, e.g. to share a run or attach
+ * it to a bug report.
+ *
+ * Functions:
+ * - createSave(run): A save of a run, copied so later changes do not leak into it.
+ * - validateSave(save): Problems that keep a save from being continued.
+ * - readSave(slot, storage) / writeSave(slot, save, storage) / deleteSave(slot, storage):
+ *   Access one slot.
+ * - listSaves(storage): The save of every slot, or null for empty slots.
+ * - describeSave(save): Short text of a save for the title screen.
+ * - exportSave(save): The save as JSON text.
+ * - importSave(text): Reads exported JSON text back into a save.
+ * - createReplayScheduler(schedule, isLevelWon): The battle scheduler of a run that can
+ *   replay the inputs of a "battle" save.
+ */
+
+import { heroes } from "./heroes.js";
+
+export const SAVE_SLOTS = 3;
+export const SAVE_VERSION = 1;
+export const SAVE_PHASES = ["battle", "shop", "modeUp", "bench"];
+
+const STORAGE_PREFIX = "piosi-save-";
+
+const PHASE_LABELS = { battle: "in battle", shop: "at the shop", modeUp: "at the mode up", bench: "at the bench" };
+
+// Browsers without storage (or with storage turned off) simply keep no saves.
+const defaultStorage = () => (typeof localStorage === "undefined" ? null : localStorage);
+
+/**
+ * Creates a save of a run. Everything is copied through JSON, so the save holds plain
+ * data only and later changes to the run do not leak into it.
+ *
+ * @param {Object} run - `{ phase, level, runSeed, party, bench, purse, modeUpHistory, inputs? }`.
+ * @returns {Object} The save.
+ */
+export function createSave(run) {
+  const { phase, level, runSeed, party, bench, purse, modeUpHistory, inputs } = JSON.parse(JSON.stringify(run));
+  const save = { version: SAVE_VERSION, savedAt: new Date().toISOString(), phase, level, runSeed, party, bench, purse, modeUpHistory };
+  if (phase === "battle") save.inputs = inputs || [];
+  return save;
+}
+
+/**
+ * Checks that a save can be continued.
+ *
+ * @param {Object} save - A save, e.g. from importSave.
+ * @returns {string[]} The problems found; empty when the save is valid.
+ */
+export function validateSave(save) {
+  if (!save || typeof save !== "object") return ["Not a save."];
+  const problems = [];
+  if (save.version !== SAVE_VERSION) problems.push(`Unsupported save version "${save.version}".`);
+  if (!SAVE_PHASES.includes(save.phase)) problems.push(`Unknown phase "${save.phase}".`);
+  if (!Number.isInteger(save.level) || save.level < 1) problems.push("Missing level.");
+  if (typeof save.runSeed !== "number") problems.push("Missing run seed.");
+  if (!Array.isArray(save.party) || save.party.length === 0) problems.push("Missing party.");
+  if (!Array.isArray(save.bench)) problems.push("Missing bench.");
+  [...(Array.isArray(save.party) ? save.party : []), ...(Array.isArray(save.bench) ? save.bench : [])].forEach(hero => {
+    if (!hero || !heroes.some(known => known.name === hero.name)) problems.push(`Unknown hero "${hero && hero.name}".`);
+  });
+  if (!save.purse || typeof save.purse.coins !== "number") problems.push("Missing purse.");
+  if (!Array.isArray(save.modeUpHistory)) problems.push("Missing mode-up history.");
+  if (save.phase === "battle" && !(Array.isArray(save.inputs) && save.inputs.every(Array.isArray))) {
+    problems.push("Missing battle inputs.");
+  }
+  return problems;
+}
+
+/**
+ * Reads the save in a slot.
+ *
+ * @param {number} slot - The slot, from 0 to SAVE_SLOTS - 1.
+ * @param {Storage} [storage] - Where saves live; localStorage by default.
+ * @returns {Object|null} The save, or null for an empty slot or one that cannot be continued.
+ */
+export function readSave(slot, storage = defaultStorage()) {
+  if (!storage) return null;
+  try {
+    const save = JSON.parse(storage.getItem(`${STORAGE_PREFIX}${slot}`));
+    return save && validateSave(save).length === 0 ? save : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Writes a save into a slot, replacing what was there.
+ *
+ * @param {number} slot - The slot, from 0 to SAVE_SLOTS - 1.
+ * @param {Object} save - The save from createSave or importSave.
+ * @param {Storage} [storage] - Where saves live; localStorage by default.
+ * @returns {boolean} Whether the save was written (storage can be missing or full).
+ */
+export function writeSave(slot, save, storage = defaultStorage()) {
+  if (!storage) return false;
+  try {
+    storage.setItem(`${STORAGE_PREFIX}${slot}`, JSON.stringify(save));
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Empties a slot.
+ *
+ * @param {number} slot - The slot, from 0 to SAVE_SLOTS - 1.
+ * @param {Storage} [storage] - Where saves live; localStorage by default.
+ */
+export function deleteSave(slot, storage = defaultStorage()) {
+  if (storage) storage.removeItem(`${STORAGE_PREFIX}${slot}`);
+}
+
+/**
+ * Returns the save of every slot.
+ *
+ * @param {Storage} [storage] - Where saves live; localStorage by default.
+ * @returns {Array<Object|null>} One entry per slot; null for empty slots.
+ */
+export function listSaves(storage = defaultStorage()) {
+  return Array.from({ length: SAVE_SLOTS }, (_, slot) => readSave(slot, storage));
+}
+
+/**
+ * Describes a save for the title screen, e.g. "Level 4 — Knight, Archer, Cleric — in
+ * battle (2026-10-18 14:02)".
+ *
+ * @param {Object} save - The save.
+ * @returns {string} The description.
+ */
+export function describeSave(save) {
+  const when = save.savedAt ? ` (${save.savedAt.slice(0, 16).replace("T", " ")})` : "";
+  return `Level ${save.level} — ${save.party.map(hero => hero.name).join(", ")} — ${PHASE_LABELS[save.phase]}${when}`;
+}
+
+/**
+ * Returns a save as JSON text for sharing.
+ *
+ * @param {Object} save - The save.
+ * @returns {string} The JSON text.
+ */
+export function exportSave(save) {
+  return JSON.stringify(save, null, 2);
+}
+
+/**
+ * Reads exported JSON text back into a save.
+ *
+ * @param {string} text - The JSON text from exportSave.
+ * @returns {Object} The save.
+ * @throws {Error} When the text is not JSON or not a save that can be continued.
+ */
+export function importSave(text) {
+  let save;
+  try {
+    save = JSON.parse(text);
+  } catch (error) {
+    throw new Error("The file is not valid JSON.");
+  }
+  const problems = validateSave(save);
+  if (problems.length > 0) throw new Error(`Invalid save: ${problems.join(" ")}`);
+  return save;
+}
+
+/**
+ * Wraps the page's scheduler for a battle that may be continued from a save. While the
+ * saved inputs are replayed, scheduled callbacks run at once, so the engine is ready for
+ * the next input. Once the level is won, the callbacks that follow (the level-complete
+ * pause) wait until the replay is over, so what they save is not skipped as part of it.
+ *
+ * @param {function} schedule - The live scheduler, `(callback, delay) => void`.
+ * @param {function} isLevelWon - Whether the battle's level is complete.
+ * @returns {{schedule: function, replay: function, isReplaying: function}} `schedule` is
+ *   handed to the BattleEngine; `replay(inputs, input)` feeds each saved input to `input`.
+ */
+export function createReplayScheduler(schedule, isLevelWon) {
+  let replaying = false;
+  const deferred = [];
+  return {
+    schedule: (callback, delay) => {
+      if (!replaying) schedule(callback, delay);
+      else if (isLevelWon()) deferred.push(callback);
+      else callback();
+    },
+    replay: (inputs, input) => {
+      replaying = true;
+      inputs.forEach(([command, ...args]) => input(command, ...args));
+      replaying = false;
+      deferred.splice(0).forEach(callback => callback());
+    },
+    isReplaying: () => replaying
+  };
+}
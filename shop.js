@@ -0,0 +1,60 @@
+/**
+ * shop.js
+ *
+ * This module holds the shop the party visits between a completed level and the mode-up
+ * window. The party pays from its purse (the coins that defeated enemies drop, see
+ * loot.js) and every purchase goes into the pack of the hero it is bought for.
+ *
+ * Functions:
+ * - getShopStock(): The items on sale with their prices.
+ * - buyItem(purse, hero, entry): Buys a stock entry for a hero.
+ */
+
+import { INVENTORY_SIZE } from "./items.js";
+
+// Items on sale, in display order. Item types are keys of ITEMS in items.js.
+export const SHOP_STOCK = [
+  { item: "vittle", price: 5 },
+  { item: "mushroom", price: 8 },
+  { item: "firebomb", price: 12 },
+  { item: "throwingKnife", price: 8 },
+  { item: "mightTonic", price: 30 },
+  { item: "vigorTonic", price: 25 },
+  { item: "swiftTonic", price: 35 },
+  { item: "ironBuckler", price: 40 },
+  { item: "spikedClub", price: 45 },
+  { item: "longbow", price: 45 },
+  { item: "emberBlade", price: 50 },
+  { item: "stormRod", price: 50 },
+  { item: "leatherJerkin", price: 35 },
+  { item: "featherCharm", price: 40 },
+  { item: "ramsHorn", price: 30 }
+];
+
+/**
+ * Returns the items on sale.
+ *
+ * @returns {Array<{item: string, price: number}>} The stock entries.
+ */
+export function getShopStock() {
+  return SHOP_STOCK;
+}
+
+/**
+ * Buys a stock entry for a hero: takes the price from the purse and puts the item in
+ * the hero's pack.
+ *
+ * @param {Object} purse - The party purse, `{ coins }`.
+ * @param {Object} hero - The hero receiving the item.
+ * @param {{item: string, price: number}} entry - The stock entry.
+ * @returns {{bought: boolean, reason?: string}} Whether it was bought; otherwise
+ *   `reason` is "coins" (not enough coins) or "packFull".
+ */
+export function buyItem(purse, hero, entry) {
+  if (purse.coins < entry.price) return { bought: false, reason: "coins" };
+  if (!Array.isArray(hero.inventory)) hero.inventory = [];
+  if (hero.inventory.length >= INVENTORY_SIZE) return { bought: false, reason: "packFull" };
+  purse.coins -= entry.price;
+  hero.inventory.push(entry.item);
+  return { bought: true };
+}
@@ -1,15 +1,16 @@
 /**
  * sluj.js
- * 
+ *
  * This module handles the processing of the slüj status effect.
  * The new algorithm scales the slüj damage higher by computing the damage
  * as twice the slüj level.
  *
  * Functions:
- * - applySlujEffect(enemy, logCallback):
- *     Applies a tick of slüj damage to an enemy. Increments the internal counter,
+ * - applySlujTick(unit, sluj, dealDamage):
+ *     Applies a tick of slüj damage to a unit. Increments the internal counter,
  *     checks if the effect should trigger damage based on a computed interval,
- *     applies the damage, and decreases the remaining duration.
+ *     and applies the damage through the engine's damage resolver. Duration and
+ *     expiry are handled by the status-effect registry (statusEffects.js).
  */
 
 /**
@@ -24,42 +25,26 @@ function computeSlujDamage(level) {
 }
 
 /**
- * Applies a tick of slüj damage to an enemy based on its slüj status effect.
+ * Applies a tick of slüj damage to a unit based on its slüj status effect.
  *
- * @param {object} enemy - The enemy object which has the slüj status effect.
- *        enemy.statusEffects.sluj should be an object with properties:
- *           level: number     // current slüj level
+ * @param {object} unit - The hero or enemy which has the slüj status effect.
+ * @param {object} sluj - The unit's slüj effect (`unit.statusEffects.sluj`):
+ *           potency: number   // current slüj level
  *           duration: number  // remaining ticks for the slüj effect
  *           counter: number   // internal counter tracking ticks
- * @param {function} logCallback - Function to log messages.
+ * @param {function} dealDamage - The engine's damage resolver (`dealDamage(target, amount, options)`).
  */
-export function applySlujEffect(enemy, logCallback) {
-  // Ensure the enemy has a valid slüj status effect.
-  if (!enemy.statusEffects.sluj) return;
-
-  const slujData = enemy.statusEffects.sluj;
-
+export function applySlujTick(unit, sluj, dealDamage) {
   // Increment the counter to track ticks.
-  slujData.counter++;
+  sluj.counter++;
 
   // Determine the trigger interval based on the slüj level.
   // A higher slüj level means damage is applied more frequently.
   // For example, an interval computed as Math.max(5 - level, 1).
-  const triggerInterval = Math.max(5 - slujData.level, 1);
+  const triggerInterval = Math.max(5 - sluj.potency, 1);
 
   // If it's the correct tick, apply damage.
-  if (slujData.counter % triggerInterval === 0) {
-    const damage = computeSlujDamage(slujData.level);
-    logCallback(`${enemy.name} takes ${damage} slüj damage due to its slüj effect!`);
-    enemy.hp -= damage;
+  if (sluj.counter % triggerInterval === 0) {
+    dealDamage(unit, computeSlujDamage(sluj.potency), { kind: 'sluj' });
   }
-
-  // Decrement the remaining duration on every tick.
-  slujData.duration--;
-
-  // When the effect expires, remove it.
-  if (slujData.duration <= 0) {
-    logCallback(`${enemy.name}'s slüj effect wears off.`);
-    delete enemy.statusEffects.sluj;
-  }
-}
\ No newline at end of file
+}
@@ -0,0 +1,181 @@
+/**
+ * stats.js
+ *
+ * This module holds the stat registry: the one list of hero stats that the hero display,
+ * the mode-up preview and messages, and the validation of heroes.js entries are built
+ * from. Adding a stat here is enough for it to show up everywhere in the UI.
+ *
+ * Each entry declares:
+ * - key:         The property name on hero objects.
+ * - label:       Display name.
+ * - description: What the stat does (shown as a tooltip).
+ * - default:     Value used when a hero does not define the stat.
+ * - readBy:      Which systems read it ('battle', 'summit', 'modeUp').
+ * - core:        Required on every hero, and the pool random boosts (caprice, fate,
+ *                spore, psych, rage, bulk, ankh) pick from.
+ * - everyStat:   Included in "every stat" buffs such as the Sycophant's mode up.
+ * - optional:    Only displayed for heroes that actually have it.
+ *
+ * Functions:
+ * - getStat(key): Returns the registry entry for a stat.
+ * - getCoreStatKeys(): Keys of the core stats.
+ * - getCompleteStats(hero): Every registered stat of a hero, with defaults filled in.
+ * - getDisplayedStats(hero): The registry entries to display for a hero.
+ * - formatStatChanges(changes): "+2 HP, +1 Attack" style text for a set of stat changes.
+ * - validateHero(hero) / validateHeroes(heroes, checks): Check hero definitions (stats,
+ *   mode-up buffs and talent trees) against the registry, plus the checks of other modules.
+ */
+
+export const STATS = [
+  { key: "attack", label: "Attack", description: "Damage dealt by each attack.", default: 0, readBy: ["battle", "summit", "modeUp"], core: true, everyStat: true },
+  { key: "range", label: "Range", description: "How many cells away the hero can attack.", default: 0, readBy: ["battle", "summit", "modeUp"], core: true, everyStat: true },
+  { key: "agility", label: "Agility", description: "Moves per turn.", default: 0, readBy: ["battle", "summit", "modeUp"], core: true, everyStat: true },
+  { key: "hp", label: "HP", description: "Health points.", default: 0, readBy: ["battle", "summit", "modeUp"], core: true, everyStat: true },
+  { key: "heal", label: "Heal", description: "HP restored when attacking an ally.", default: 0, readBy: ["battle", "modeUp"], everyStat: true },
+  { key: "burn", label: "Burn", description: "Burn damage per turn inflicted by attacks.", default: 0, readBy: ["battle", "modeUp"], everyStat: true },
+  { key: "sluj", label: "Slüj", description: "Slüj level inflicted by attacks.", default: 0, readBy: ["battle", "modeUp"], everyStat: true },
+  { key: "ghis", label: "Ghïs", description: "Marks the enemy hit; the mark bursts for its strength in damage when it runs out.", default: 0, readBy: ["battle", "modeUp"], everyStat: true },
+  { key: "trick", label: "Trick", description: "Lowers a random stat of the enemy hit.", default: 0, readBy: ["battle", "modeUp"] },
+  { key: "yeet", label: "Yeet", description: "Knockback distance of attacks.", default: 0, readBy: ["battle", "modeUp"], everyStat: true },
+  { key: "swarm", label: "Swarm", description: "Damage to every adjacent enemy each turn.", default: 0, readBy: ["battle", "modeUp"], everyStat: true },
+  { key: "spicy", label: "Spicy", description: "Extra healing from vittles.", default: 0, readBy: ["battle", "modeUp"], everyStat: true },
+  { key: "armor", label: "Armor", description: "Each point absorbs one enemy attack.", default: 0, readBy: ["battle", "modeUp"], everyStat: true },
+  { key: "spore", label: "Spore", description: "Random stat boost from mushrooms.", default: 0, readBy: ["battle", "modeUp"], everyStat: true },
+  { key: "chain", label: "Chain", description: "Damage that spreads from the enemy hit to its neighbours.", default: 0, readBy: ["battle", "modeUp"], everyStat: true },
+  { key: "caprice", label: "Caprice", description: "Random stat boosts at the start of each level.", default: 0, readBy: ["battle", "modeUp"], everyStat: true },
+  { key: "fate", label: "Fate", description: "Random stat changes at the start of each level.", default: 0, readBy: ["battle", "modeUp"], everyStat: true },
+  { key: "rage", label: "Rage", description: "Random stat boost whenever an enemy attack is survived.", default: 0, readBy: ["battle", "modeUp"], everyStat: true },
+  { key: "bulk", label: "Bulk", description: "Random stat boost for every enemy the hero defeats.", default: 0, readBy: ["battle", "modeUp"] },
+  { key: "psych", label: "Psych", description: "Boosts a random stat of the ally hit.", default: 0, readBy: ["battle", "modeUp"] },
+  { key: "ankh", label: "Ankh", description: "Boosts every hero when a hero falls.", default: 0, readBy: ["battle", "modeUp"] },
+  { key: "rise", label: "Rise", description: "HP the hero rises with after falling.", default: 0, readBy: ["battle", "modeUp"] },
+  { key: "dodge", label: "Dodge", description: "Chance to avoid attacks, up to 50%.", default: 0, readBy: ["battle", "modeUp"] },
+  { key: "bomba", label: "Bomba", description: "Extra damage to adjacent enemies attacked by allies.", default: 0, readBy: ["battle", "modeUp"] },
+  { key: "poison", label: "Poison", description: "Poison damage per turn inflicted by attacks.", default: 0, readBy: ["battle", "modeUp"], optional: true },
+  { key: "stun", label: "Stun", description: "10% chance per point (up to 50%) that an attack stuns.", default: 0, readBy: ["battle", "modeUp"], optional: true },
+  { key: "slow", label: "Slow", description: "Moves taken away by attacks.", default: 0, readBy: ["battle", "modeUp"], optional: true },
+  { key: "confusion", label: "Confusion", description: "Attacks confuse the target.", default: 0, readBy: ["battle", "modeUp"], optional: true },
+  { key: "shield", label: "Shield", description: "Damage blocked at the start of each battle.", default: 0, readBy: ["battle", "modeUp"], optional: true }
+];
+
+// Hero properties that are not stats.
+const HERO_PROPERTIES = ["name", "symbol", "sprite", "modeUpBuff", "equipment", "talentTree", "ability", "area"];
+
+/**
+ * Returns the registry entry for a stat.
+ *
+ * @param {string} key - The stat key.
+ * @returns {Object|null} The entry, or null for unregistered keys.
+ */
+export function getStat(key) {
+  return STATS.find(stat => stat.key === key) || null;
+}
+
+/**
+ * Returns the keys of the core stats (attack, range, agility, hp).
+ *
+ * @returns {string[]} The core stat keys.
+ */
+export function getCoreStatKeys() {
+  return STATS.filter(stat => stat.core).map(stat => stat.key);
+}
+
+/**
+ * Builds a complete stats object for a hero. Even if a specific stat is 0 or undefined,
+ * it is included, using the registry default.
+ *
+ * @param {Object} hero - The hero.
+ * @returns {Object} Stat values keyed by stat key.
+ */
+export function getCompleteStats(hero) {
+  const stats = {};
+  STATS.forEach(stat => {
+    stats[stat.key] = hero[stat.key] || stat.default;
+  });
+  return stats;
+}
+
+/**
+ * Returns the registry entries to display for a hero: every stat except optional
+ * stats the hero does not have.
+ *
+ * @param {Object} hero - The hero.
+ * @param {Object} [changes] - Pending stat changes (e.g. a mode-up buff) that should also be shown.
+ * @returns {Object[]} Registry entries in display order.
+ */
+export function getDisplayedStats(hero, changes = {}) {
+  return STATS.filter(stat => !stat.optional || hero[stat.key] || changes[stat.key]);
+}
+
+/**
+ * Formats a set of stat changes for messages, in registry order.
+ *
+ * @param {Object} changes - Amounts keyed by stat key, e.g. { hp: 2, attack: 1 }.
+ * @returns {string[]} Parts such as "+2 HP"; zero changes are left out.
+ */
+export function formatStatChanges(changes) {
+  return STATS
+    .filter(stat => changes[stat.key])
+    .map(stat => `${changes[stat.key] > 0 ? "+" : ""}${changes[stat.key]} ${stat.label}`);
+}
+
+/**
+ * Checks a hero definition against the registry.
+ *
+ * @param {Object} hero - A hero definition from heroes.js.
+ * @returns {string[]} The problems found; empty when the hero is valid.
+ */
+export function validateHero(hero) {
+  const name = hero && typeof hero.name === "string" && hero.name ? hero.name : "(unnamed hero)";
+  const problems = [];
+  if (!hero || typeof hero.name !== "string" || !hero.name) problems.push(`${name}: missing name.`);
+  if (!hero || typeof hero.symbol !== "string" || !hero.symbol) problems.push(`${name}: missing symbol.`);
+  if (!hero) return problems;
+  getCoreStatKeys().forEach(key => {
+    if (typeof hero[key] !== "number") problems.push(`${name}: missing core stat "${key}".`);
+  });
+  if (hero.modeUpBuff) {
+    Object.keys(hero.modeUpBuff).forEach(key => {
+      if (!getStat(key)) problems.push(`${name}: modeUpBuff names unknown stat "${key}".`);
+    });
+  }
+  if (hero.talentTree) {
+    const ids = hero.talentTree.map(talent => talent.id);
+    hero.talentTree.forEach(talent => {
+      if (typeof talent.buff === "object") {
+        Object.keys(talent.buff).forEach(key => {
+          if (!getStat(key)) problems.push(`${name}: talent "${talent.id}" names unknown stat "${key}".`);
+        });
+      }
+      (talent.requires || []).forEach(id => {
+        if (!ids.includes(id)) problems.push(`${name}: talent "${talent.id}" requires unknown talent "${id}".`);
+      });
+    });
+  }
+  Object.keys(hero).forEach(key => {
+    if (HERO_PROPERTIES.includes(key)) return;
+    const value = hero[key];
+    // Other non-numeric properties are flavor flags (joke, tarot, ...).
+    if (typeof value !== "number") return;
+    if (!getStat(key)) problems.push(`${name}: unknown stat "${key}" (add it to STATS in stats.js).`);
+    else if (!Number.isFinite(value) || value < 0) problems.push(`${name}: stat "${key}" must be a non-negative number.`);
+  });
+  return problems;
+}
+
+/**
+ * Validates every hero definition and throws with all problems found.
+ *
+ * @param {Object[]} heroes - The hero definitions.
+ * @param {function[]} [checks] - Further checks of the definitions, `heroes => problems`,
+ *   from the modules that read them (curves, abilities, area shapes).
+ */
+export function validateHeroes(heroes, checks = []) {
+  const problems = heroes.flatMap(hero => validateHero(hero));
+  checks.forEach(check => problems.push(...check(heroes)));
+  const names = heroes.map(hero => hero && hero.name);
+  names.forEach((name, index) => {
+    if (name && names.indexOf(name) !== index) problems.push(`${name}: defined more than once.`);
+  });
+  if (problems.length > 0) throw new Error(`Invalid hero definitions:\n${problems.join("\n")}`);
+}
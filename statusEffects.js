@@ -0,0 +1,141 @@
+/**
+ * statusEffects.js
+ *
+ * This module holds the status-effect registry used by the BattleEngine. Status effects
+ * work the same way on heroes and enemies: active effects live in
+ * `unit.statusEffects[name]` as `{ potency, duration, ... }` and tick once at the start
+ * of each of the affected unit's turns (heroes on their turn, enemies when they act
+ * during the enemy turn). An effect expires when its duration runs out.
+ *
+ * Each definition declares:
+ * - label:     Name shown in the battle UI.
+ * - duration:  Default duration in turns of the affected unit (null = until it is used up).
+ * - stacking:  What happens when the effect lands on a unit that already has it:
+ *              'refresh'   keeps the higher potency and restarts the duration,
+ *              'intensify' adds the potencies and restarts the duration,
+ *              'extend'    keeps the higher potency and adds the durations.
+ * - stat:      Optional unit stat that inflicts the effect on attack targets; the stat
+ *              value becomes the potency. `chance(potency)` limits how often it lands.
+ * - onApply / onTick / onExpire: Optional `(engine, unit, effect)` callbacks.
+ * - Optional modifiers the engine asks for: `preventsAction` (the unit loses its turn),
+ *   `confuses` (moves and attacks may go in a random direction),
+ *   `modifyMoves(effect, moves)` and `absorbDamage(effect, amount)` (see damage.js).
+ *
+ * Functions:
+ * - getStatusDefinition(name): Returns the definition of a registered effect.
+ * - getActiveStatuses(unit): Lists `{ name, effect, definition }` for a unit.
+ * - describeStatuses(unit): Short text of a unit's effects for the battle UI.
+ */
+
+import { applySlujTick } from './sluj.js';
+
+export const STATUS_EFFECTS = {
+  burn: {
+    label: 'Burn',
+    duration: 3,
+    stacking: 'refresh',
+    stat: 'burn',
+    onTick: (engine, unit, effect) => engine.dealDamage(unit, effect.potency, { kind: 'burn' })
+  },
+  sluj: {
+    label: 'Slüj',
+    duration: 4,
+    stacking: 'intensify',
+    stat: 'sluj',
+    onApply: (engine, unit, effect) => {
+      if (typeof effect.counter !== 'number') effect.counter = 0;
+    },
+    onTick: (engine, unit, effect) => applySlujTick(unit, effect, engine.dealDamage.bind(engine))
+  },
+  poison: {
+    label: 'Poison',
+    duration: 3,
+    stacking: 'extend',
+    stat: 'poison',
+    onTick: (engine, unit, effect) => engine.dealDamage(unit, effect.potency, { kind: 'poison' })
+  },
+  ghis: {
+    label: 'Ghïs',
+    duration: 2,
+    stacking: 'intensify',
+    stat: 'ghis',
+    // Lies dormant and bursts on its last turn; hitting the target again grows the mark
+    // but restarts the countdown.
+    onTick: (engine, unit, effect) => {
+      if (effect.duration <= 1) engine.dealDamage(unit, effect.potency, { kind: 'ghis' });
+    }
+  },
+  stun: {
+    label: 'Stun',
+    duration: 1,
+    stacking: 'refresh',
+    stat: 'stun',
+    // Each point of the stun stat is a 10% chance per hit, up to 50%.
+    chance: potency => Math.min(potency / 10, 0.5),
+    preventsAction: true
+  },
+  shield: {
+    label: 'Shield',
+    duration: null,
+    stacking: 'intensify',
+    // Units with a shield stat start every battle shielded; see BattleEngine.applyStartingStatuses.
+    absorbDamage: (effect, amount) => {
+      const absorbed = Math.min(effect.potency, amount);
+      effect.potency -= absorbed;
+      return absorbed;
+    },
+    isDepleted: effect => effect.potency <= 0
+  },
+  slow: {
+    label: 'Slow',
+    duration: 2,
+    stacking: 'refresh',
+    stat: 'slow',
+    modifyMoves: (effect, moves) => Math.max(0, moves - effect.potency)
+  },
+  confusion: {
+    label: 'Confusion',
+    duration: 2,
+    stacking: 'refresh',
+    stat: 'confusion',
+    confuses: true
+  }
+};
+
+/**
+ * Returns the definition of a registered status effect.
+ *
+ * @param {string} name - The effect name (a key of STATUS_EFFECTS).
+ * @returns {Object|null} The definition, or null for unknown names.
+ */
+export function getStatusDefinition(name) {
+  return STATUS_EFFECTS[name] || null;
+}
+
+/**
+ * Lists the registered status effects active on a unit.
+ * Other entries of `statusEffects` (such as the death marker) are skipped.
+ *
+ * @param {Object} unit - A hero or enemy.
+ * @returns {Array<{name: string, effect: Object, definition: Object}>} The active effects.
+ */
+export function getActiveStatuses(unit) {
+  const effects = unit.statusEffects || {};
+  return Object.keys(effects)
+    .filter(name => STATUS_EFFECTS[name] && effects[name])
+    .map(name => ({ name, effect: effects[name], definition: STATUS_EFFECTS[name] }));
+}
+
+/**
+ * Describes a unit's active status effects for the battle UI, e.g. "Burn 3 (2), Stun (1)".
+ *
+ * @param {Object} unit - A hero or enemy.
+ * @returns {string} The description, or an empty string when the unit has no effects.
+ */
+export function describeStatuses(unit) {
+  return getActiveStatuses(unit).map(({ effect, definition }) => {
+    const potency = definition.preventsAction || definition.confuses ? '' : ` ${effect.potency}`;
+    const duration = effect.duration === null ? '' : ` (${effect.duration})`;
+    return `${definition.label}${potency}${duration}`;
+  }).join(', ');
+}
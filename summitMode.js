@@ -14,13 +14,16 @@
  *   each hero's name, coordinates, and team color.
  * - The log messages are displayed in "summit-log".
  * - The canvas is drawn in the "summit-battlefield" container.
+ * - Spawn positions are rolled with the seeded generator passed in as `options.rng`.
  */
 
 import { heroes as allHeroes } from "./heroes.js";
+import { createRng } from "./rng.js";
 
 export class SummitMode {
-  constructor(logCallback, onGameOver, onVictory) {
+  constructor(logCallback, onGameOver, onVictory, options = {}) {
     this.mapSize = 50;
+    this.rng = options.rng || createRng();
     this.onGameOver = onGameOver;
     this.onVictory = onVictory;
     // Streamlined log that shows only per-turn events.
@@ -44,8 +47,8 @@ export class SummitMode {
       const spawnHp = hero.hp || 100;
       return {
         ...hero,
-        x: Math.floor(Math.random() * this.mapSize),
-        y: Math.floor(Math.random() * this.mapSize),
+        x: this.rng.int(0, this.mapSize - 1),
+        y: this.rng.int(0, this.mapSize - 1),
         hp: spawnHp,
         originalHp: spawnHp,
         maxHp: hero.maxHp || spawnHp,
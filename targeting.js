@@ -0,0 +1,154 @@
+/**
+ * targeting.js
+ *
+ * This module holds the geometry of the free-target cursor. Besides attacking along the
+ * four arrows, a hero can aim at any cell within its range, diagonals included
+ * (distances count diagonal steps as one, like the chain reaction). What a cursor attack
+ * hits depends on the hero's area shape; heroes opt into one in heroes.js:
+ *   area: "pierce"
+ *   area: { shape: "blast", radius: 1 }
+ *
+ * Shapes (see AREA_SHAPES):
+ * - single: Only the aimed cell (the default).
+ * - blast:  Every cell within `radius` of the aimed cell (default 1).
+ * - cone:   Cells fanning out from the hero towards the aimed cell, within 45 degrees of
+ *           the aim, up to `length` cells away (default: the hero's range).
+ * - pierce: The line from the hero through the aimed cell, up to `length` cells away
+ *           (default: the hero's range).
+ *
+ * The cells returned here ignore the field; the BattleEngine drops those off the field,
+ * stops shots at terrain and picks the units hit (see getTargetPreview).
+ *
+ * Functions:
+ * - getDistance(from, to): Steps between two cells, diagonals counting as one.
+ * - getLineCells(from, to, length): Cells on the line from a cell through another.
+ * - getHeroArea(hero): The hero's area shape with its defaults filled in.
+ * - getAreaCells(hero, target): The cells a cursor attack at `target` covers.
+ * - describeArea(hero): Short text of a hero's area shape for the UI.
+ * - validateHeroAreas(heroes): Problems with the area shapes heroes pick (checked by heroes.js).
+ */
+
+/**
+ * Returns the steps between two cells, diagonal steps counting as one.
+ *
+ * @param {{x: number, y: number}} from - A cell.
+ * @param {{x: number, y: number}} to - Another cell.
+ * @returns {number} The distance.
+ */
+export function getDistance(from, to) {
+  return Math.max(Math.abs(to.x - from.x), Math.abs(to.y - from.y));
+}
+
+/**
+ * Lists the cells on the straight line from a cell through another, leaving out the
+ * starting cell.
+ *
+ * @param {{x: number, y: number}} from - The starting cell (e.g. the hero).
+ * @param {{x: number, y: number}} to - A cell the line goes through.
+ * @param {number} [length] - How many cells the line reaches; defaults to ending at `to`.
+ * @returns {Array<{x: number, y: number}>} The cells, nearest first.
+ */
+export function getLineCells(from, to, length = getDistance(from, to)) {
+  const steps = getDistance(from, to);
+  const cells = [];
+  if (steps === 0) return cells;
+  for (let i = 1; i <= length; i++) {
+    cells.push({
+      x: from.x + Math.round((i * (to.x - from.x)) / steps),
+      y: from.y + Math.round((i * (to.y - from.y)) / steps)
+    });
+  }
+  return cells;
+}
+
+export const AREA_SHAPES = {
+  single: {
+    label: 'Single',
+    cells: (origin, target) => [target]
+  },
+  blast: {
+    label: 'Blast',
+    cells: (origin, target, area) => {
+      const cells = [];
+      for (let dy = -area.radius; dy <= area.radius; dy++) {
+        for (let dx = -area.radius; dx <= area.radius; dx++) cells.push({ x: target.x + dx, y: target.y + dy });
+      }
+      return cells;
+    }
+  },
+  cone: {
+    label: 'Cone',
+    cells: (origin, target, area) => {
+      const aimX = target.x - origin.x, aimY = target.y - origin.y;
+      const aimLength = Math.hypot(aimX, aimY);
+      const cells = [];
+      for (let dy = -area.length; dy <= area.length; dy++) {
+        for (let dx = -area.length; dx <= area.length; dx++) {
+          if (dx === 0 && dy === 0) continue;
+          // Within 45 degrees of the aim.
+          const cos = (dx * aimX + dy * aimY) / (Math.hypot(dx, dy) * aimLength);
+          if (cos >= Math.SQRT1_2 - 1e-9) cells.push({ x: origin.x + dx, y: origin.y + dy });
+        }
+      }
+      return cells;
+    }
+  },
+  pierce: {
+    label: 'Pierce',
+    cells: (origin, target, area) => getLineCells(origin, target, area.length)
+  }
+};
+
+/**
+ * Returns a hero's area shape with its defaults filled in.
+ *
+ * @param {Object} hero - The hero.
+ * @returns {{shape: string, radius: number, length: number}} The area; heroes without
+ *   one get the 'single' shape.
+ */
+export function getHeroArea(hero) {
+  const declared = typeof hero.area === 'string' ? { shape: hero.area } : hero.area || {};
+  return {
+    shape: declared.shape || 'single',
+    radius: declared.radius || 1,
+    length: declared.length || hero.range
+  };
+}
+
+/**
+ * Returns the cells a cursor attack at a cell covers, before the field is taken into account.
+ *
+ * @param {Object} hero - The attacking hero (its position is the origin).
+ * @param {{x: number, y: number}} target - The aimed cell.
+ * @returns {Array<{x: number, y: number}>} The cells.
+ */
+export function getAreaCells(hero, target) {
+  const area = getHeroArea(hero);
+  return AREA_SHAPES[area.shape].cells({ x: hero.x, y: hero.y }, target, area);
+}
+
+/**
+ * Describes a hero's area shape for the UI, e.g. "Blast (radius 1)".
+ *
+ * @param {Object} hero - The hero.
+ * @returns {string} The description.
+ */
+export function describeArea(hero) {
+  const area = getHeroArea(hero);
+  const label = AREA_SHAPES[area.shape].label;
+  if (area.shape === 'blast') return `${label} (radius ${area.radius})`;
+  if (area.shape === 'single') return label;
+  return `${label} (length ${area.length})`;
+}
+
+/**
+ * Checks that heroes only opt into registered area shapes.
+ *
+ * @param {Object[]} heroes - The hero definitions.
+ * @returns {string[]} The problems found; empty when every shape is known.
+ */
+export function validateHeroAreas(heroes) {
+  return heroes
+    .filter(hero => hero.area && !AREA_SHAPES[getHeroArea(hero).shape])
+    .map(hero => `${hero.name}: unknown area shape "${getHeroArea(hero).shape}".`);
+}
@@ -0,0 +1,90 @@
+// Tests for battleEngine.js: seeded battles play out the same way every time.
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { BattleEngine } from "../battleEngine.js";
+import { getLevel } from "../levels.js";
+import { heroes } from "../heroes.js";
+import { createRng, deriveSeed } from "../rng.js";
+
+const INPUTS = [
+  ["moveUnit", 0, 1], ["moveUnit", 1, 0], ["moveUnit", -1, 0], ["beginAttack"], ["attackInDirection", 0, 1],
+  ["useAbility"], ["aimAbility", 0, 1], ["beginTargeting"], ["moveCursor", 1, 0], ["confirmTarget"],
+  ["confirmDeployment"], ["moveDeployment", 1, 0]
+];
+
+// Plays a level with inputs picked by a seeded generator and returns a snapshot of the field.
+function playBattle(runSeed, level) {
+  const rng = createRng(deriveSeed(runSeed, level));
+  const settings = getLevel(level, { rng });
+  const party = [1, 2, 5].map(index => ({ ...heroes[index] }));
+  const log = [];
+  const engine = new BattleEngine(party, settings.enemies, settings.rows, settings.cols, settings.wallHP,
+    message => log.push(message), () => {}, () => {},
+    { rng, levelSettings: settings, deploy: true, schedule: callback => callback() });
+  const player = createRng(runSeed);
+  for (let i = 0; i < 200 && !engine.transitioningLevel; i++) {
+    const [command, ...args] = player.pick(INPUTS);
+    if (command === "attackInDirection") engine.attackInDirection(...args, engine.party[engine.currentUnit]);
+    else engine[command](...args);
+  }
+  return {
+    log,
+    party: engine.party.map(hero => [hero.hp, hero.x, hero.y, hero.xp]),
+    enemies: engine.enemies.map(enemy => [enemy.hp, enemy.x, enemy.y])
+  };
+}
+
+test("the same seed plays the same battle", () => {
+  for (const [runSeed, level] of [[1, 1], [5, 2], [9, 4]]) {
+    assert.deepEqual(playBattle(runSeed, level), playBattle(runSeed, level));
+  }
+});
+
+test("a different seed plays a different battle", () => {
+  assert.notDeepEqual(playBattle(1, 1).log, playBattle(2, 1).log);
+});
+
+// A stand-in engine for target previews: one hero on an open 9x9 field with some terrain.
+function previewField(hero, enemies, terrain) {
+  const blocked = new Set(terrain.map(({ x, y }) => `${x},${y}`));
+  const engine = {
+    party: [hero],
+    currentUnit: 0,
+    isWithinBounds: (x, y) => x >= 0 && y >= 0 && x < 9 && y < 9,
+    battlefield: { getTerrain: (x, y) => (blocked.has(`${x},${y}`) ? { type: "wall" } : null) },
+    getEnemyAt: (x, y) => enemies.find(enemy => enemy.x === x && enemy.y === y) || null
+  };
+  return cell => BattleEngine.prototype.getTargetPreview.call(engine, cell);
+}
+
+test("cones stop at terrain", () => {
+  const behind = { x: 4, y: 2 };
+  const beside = { x: 4, y: 3 };
+  const preview = previewField({ x: 2, y: 2, range: 3, area: "cone" }, [behind, beside], [{ x: 3, y: 2 }]);
+  assert.equal(preview(behind).reason, "blocked");
+  assert.deepEqual(preview(beside).targets, [beside]);
+});
+
+test("blasts stop at terrain", () => {
+  // A wall down column 5 between the aimed cells and the enemy behind it.
+  const wall = [3, 4, 5, 6].map(y => ({ x: 5, y }));
+  const behind = { x: 6, y: 4 };
+  const inFront = { x: 4, y: 4 };
+  const preview = previewField({ x: 1, y: 4, range: 6, area: { shape: "blast", radius: 2 } }, [behind, inFront], wall);
+  assert.deepEqual(preview({ x: 4, y: 4 }).targets, [inFront]);
+  // Aimed at the wall, the blast does not burst through to the other side.
+  assert.equal(preview({ x: 5, y: 4 }).reason, "noTarget");
+});
+
+test("enemies with unknown behaviors are reported when the level starts", () => {
+  const party = [{ ...heroes[0] }];
+  const start = enemies => new BattleEngine(party, enemies, 6, 6, 10, () => {}, () => {}, () => {},
+    { rng: createRng(1), levelSettings: { title: "Typo Test" }, schedule: callback => callback() });
+  assert.throws(() => start([{ name: "Brigand", attack: 1, range: 1, hp: 5, agility: 1, behavior: "fleee", x: 1, y: 1 }]),
+    /Typo Test: unknown behavior "fleee" of enemy "Brigand"/);
+  assert.throws(() => start([{
+    name: "Overlord", attack: 1, range: 1, hp: 50, agility: 1, x: 1, y: 1, boss: true,
+    phases: [{ below: 0.5, behavior: "wekest" }]
+  }]), /unknown behavior "wekest"/);
+  assert.doesNotThrow(() => start([{ name: "Brigand", attack: 1, range: 1, hp: 5, agility: 1, behavior: "flee", x: 1, y: 1 }]));
+});
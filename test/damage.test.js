@@ -0,0 +1,47 @@
+// Tests for damage.js: dodge, armor and resistances per damage kind.
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { resolveDamage, getDodgeChance } from "../damage.js";
+
+// Rolls that never dodge and always dodge.
+const never = { next: () => 0.99 };
+const always = { next: () => 0 };
+
+test("lowers HP and reports defeats", () => {
+  const target = { hp: 5 };
+  const result = resolveDamage(target, 3, { rng: never });
+  assert.equal(result.amount, 3);
+  assert.equal(target.hp, 2);
+  assert.equal(result.defeated, false);
+  assert.equal(resolveDamage(target, 4, { rng: never }).defeated, true);
+});
+
+test("armor absorbs a whole attack but not burn", () => {
+  const target = { hp: 10, armor: 1 };
+  const blocked = resolveDamage(target, 6, { kind: "attack", rng: never });
+  assert.equal(blocked.absorbed, true);
+  assert.equal(target.armor, 0);
+  assert.equal(target.hp, 10);
+  const armored = { hp: 10, armor: 1 };
+  resolveDamage(armored, 2, { kind: "burn", rng: never });
+  assert.equal(armored.hp, 8);
+  assert.equal(armored.armor, 1);
+});
+
+test("dodge only avoids dodgeable kinds and is capped at half", () => {
+  assert.equal(getDodgeChance({ dodge: 0 }), 0);
+  assert.equal(getDodgeChance({ dodge: 100000 }), 0.5);
+  const target = { hp: 10, dodge: 10 };
+  assert.equal(resolveDamage(target, 4, { kind: "attack", rng: always }).dodged, true);
+  assert.equal(target.hp, 10);
+  resolveDamage(target, 4, { kind: "poison", rng: always });
+  assert.equal(target.hp, 6);
+});
+
+test("resistances remove a fraction of the damage", () => {
+  const target = { hp: 20, resistances: { burn: 0.5, sluj: 1, poison: -1 } };
+  assert.equal(resolveDamage(target, 4, { kind: "burn", rng: never }).amount, 2);
+  assert.equal(resolveDamage(target, 4, { kind: "sluj", rng: never }).amount, 0);
+  assert.equal(resolveDamage(target, 4, { kind: "poison", rng: never }).amount, 8);
+  assert.equal(target.hp, 10);
+});
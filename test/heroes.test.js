@@ -0,0 +1,32 @@
+// Tests for the hero definition checks (stats.js, with heroCurves.js, abilities.js and targeting.js).
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { heroes } from "../heroes.js";
+import { validateHeroes } from "../stats.js";
+import { validateHeroCurves } from "../heroCurves.js";
+import { validateHeroAbilities } from "../abilities.js";
+import { validateHeroAreas } from "../targeting.js";
+
+const checks = [validateHeroCurves, validateHeroAbilities, validateHeroAreas];
+const hero = overrides => ({ name: "Tester", symbol: "T", attack: 1, range: 1, agility: 1, hp: 1, ...overrides });
+
+test("the heroes in heroes.js are valid", () => {
+  assert.doesNotThrow(() => validateHeroes(heroes, checks));
+});
+
+test("unknown abilities and area shapes are reported", () => {
+  assert.deepEqual(validateHeroAbilities([hero({ ability: "juggle" })]), ['Tester: unknown ability "juggle".']);
+  assert.deepEqual(validateHeroAbilities([hero({ ability: { type: "volley", cooldown: 1 } })]), []);
+  assert.deepEqual(validateHeroAreas([hero({ area: "ring" })]), ['Tester: unknown area shape "ring".']);
+  assert.deepEqual(validateHeroAreas([hero({ area: { shape: "blast", radius: 2 } })]), []);
+});
+
+test("curves must belong to a hero", () => {
+  assert.ok(validateHeroCurves([hero()]).includes('Curve for unknown hero "Knight".'));
+  assert.deepEqual(validateHeroCurves(heroes), []);
+});
+
+test("validateHeroes throws with the problems of every check", () => {
+  assert.throws(() => validateHeroes([...heroes, hero({ ability: "juggle", area: "ring" })], checks),
+    /unknown ability "juggle"[\s\S]*unknown area shape "ring"/);
+});
@@ -0,0 +1,69 @@
+// Tests for modeup.js: talent trees, prerequisites and applying a mode up.
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { MODE_UP_OPTIONS, getModeUpOptions, getTalentTree, applyModeUp } from "../modeup.js";
+import { heroes } from "../heroes.js";
+
+const offered = hero => getModeUpOptions(hero, 1).map(option => option.talent.id);
+
+const tree = [
+  { id: "root", label: "Root", buff: { attack: 1 } },
+  { id: "side", label: "Side", buff: { hp: 2 } },
+  { id: "branch", label: "Branch", buff: { agility: 1 }, requires: ["root"] },
+  { id: "crown", label: "Crown", buff: { armor: 1 }, requires: ["branch", "side"], once: true }
+];
+
+test("every hero has its own talent tree", () => {
+  heroes.forEach(hero => assert.ok(hero.talentTree, `${hero.name} has no talent tree`));
+});
+
+test("talents unlock once their prerequisites are taken", () => {
+  const hero = { name: "Test", range: 1, talentTree: tree, talentsTaken: [] };
+  assert.deepEqual(offered(hero), ["root", "side"]);
+  hero.talentsTaken = ["root"];
+  assert.deepEqual(offered(hero), ["side", "branch", "root"]);
+  hero.talentsTaken = ["root", "branch"];
+  assert.deepEqual(offered(hero), ["side", "root", "branch"]);
+  hero.talentsTaken = ["root", "branch", "side"];
+  assert.equal(offered(hero)[0], "crown");
+  assert.ok(offered(hero).length <= MODE_UP_OPTIONS);
+});
+
+test("talents taken once are not offered again", () => {
+  const hero = { name: "Test", range: 1, talentTree: tree, talentsTaken: ["root", "branch", "side", "crown"] };
+  assert.equal(offered(hero).includes("crown"), false);
+});
+
+test("talent buffs grow with the level", () => {
+  const hero = { name: "Test", range: 1, talentTree: tree, talentsTaken: [] };
+  assert.deepEqual(getModeUpOptions(hero, 3)[0].buff, { attack: 3 });
+});
+
+test("the signature talent gives the hero's signature buff", () => {
+  const sycophant = heroes.find(hero => hero.name === "Sycophant");
+  const signature = getTalentTree(sycophant).find(talent => talent.buff === "signature");
+  const option = getModeUpOptions({ ...sycophant, talentsTaken: [] }, 2).find(entry => entry.talent === signature);
+  assert.equal(option.buff.attack, 2);
+  assert.equal(option.buff.hp, 2);
+});
+
+test("a mode up buffs the whole party and records the talent", () => {
+  const chooser = { name: "Test", range: 1, attack: 1, hp: 5, talentTree: tree, talentsTaken: [] };
+  const ally = { name: "Ally", attack: 2, hp: 0 };
+  const option = getModeUpOptions(chooser, 1).find(entry => entry.talent.id === "side");
+  const choice = applyModeUp(chooser, 1, [chooser, ally], () => {}, option);
+  assert.deepEqual(chooser.talentsTaken, ["side"]);
+  assert.equal(chooser.hp, 7);
+  // Fallen heroes get no HP.
+  assert.equal(ally.hp, 0);
+  assert.deepEqual(choice, { level: 1, hero: "Test", talent: "Side", buff: { hp: 2 } });
+});
+
+test("melee heroes offer range talents, which help the ranged heroes of the party", () => {
+  const knight = { name: "Knight", range: 1, talentsTaken: ["signature", "vigor", "edge", "stride"] };
+  const archer = { name: "Archer", range: 5 };
+  const option = getModeUpOptions(knight, 1).find(entry => entry.talent.id === "reach");
+  assert.ok(option);
+  applyModeUp(knight, 1, [knight, archer], () => {}, option);
+  assert.equal(archer.range, 6);
+});
@@ -0,0 +1,37 @@
+// Tests for pathfinding.js: A* on the battlefield grid.
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { findPath } from "../pathfinding.js";
+
+const bounds = { rows: 5, cols: 5 };
+const open = () => true;
+
+test("walks a straight line when nothing is in the way", () => {
+  const path = findPath({ x: 0, y: 0 }, [{ x: 3, y: 0 }], open, bounds);
+  assert.deepEqual(path, [{ x: 1, y: 0 }, { x: 2, y: 0 }, { x: 3, y: 0 }]);
+});
+
+test("finds the shortest way around a wall", () => {
+  // A wall down column 2 with a gap at the bottom.
+  const isPassable = (x, y) => !(x === 2 && y < 4);
+  const path = findPath({ x: 0, y: 0 }, [{ x: 4, y: 0 }], isPassable, bounds);
+  assert.equal(path.length, 12);
+  assert.deepEqual(path[path.length - 1], { x: 4, y: 0 });
+  path.forEach(({ x, y }) => assert.ok(isPassable(x, y)));
+  path.forEach((cell, i) => {
+    const previous = i === 0 ? { x: 0, y: 0 } : path[i - 1];
+    assert.equal(Math.abs(cell.x - previous.x) + Math.abs(cell.y - previous.y), 1);
+  });
+});
+
+test("heads for the nearest goal", () => {
+  const path = findPath({ x: 2, y: 2 }, [{ x: 4, y: 4 }, { x: 2, y: 0 }], open, bounds);
+  assert.deepEqual(path, [{ x: 2, y: 1 }, { x: 2, y: 0 }]);
+});
+
+test("returns an empty path at a goal and null when no goal can be reached", () => {
+  assert.deepEqual(findPath({ x: 1, y: 1 }, [{ x: 1, y: 1 }], open, bounds), []);
+  assert.equal(findPath({ x: 0, y: 0 }, [], open, bounds), null);
+  const walledIn = (x, y) => x !== 3;
+  assert.equal(findPath({ x: 0, y: 0 }, [{ x: 4, y: 0 }], walledIn, bounds), null);
+});
@@ -0,0 +1,40 @@
+// Tests for rng.js: seeded runs must replay the same rolls.
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { createRng, hashSeed, deriveSeed } from "../rng.js";
+
+const rolls = (rng, count) => Array.from({ length: count }, () => rng.next());
+
+test("the same seed gives the same rolls", () => {
+  assert.deepEqual(rolls(createRng(42), 20), rolls(createRng(42), 20));
+  assert.deepEqual(rolls(createRng("dragon"), 20), rolls(createRng("dragon"), 20));
+});
+
+test("different seeds give different rolls", () => {
+  assert.notDeepEqual(rolls(createRng(1), 5), rolls(createRng(2), 5));
+});
+
+test("rolls stay within their ranges", () => {
+  const rng = createRng(7);
+  for (let i = 0; i < 500; i++) {
+    const value = rng.next();
+    assert.ok(value >= 0 && value < 1);
+    const roll = rng.int(2, 5);
+    assert.ok(Number.isInteger(roll) && roll >= 2 && roll <= 5);
+  }
+  assert.equal(rng.pick([]), undefined);
+  assert.ok(["a", "b"].includes(rng.pick(["a", "b"])));
+});
+
+test("numeric seeds can be typed back in", () => {
+  assert.equal(hashSeed("12345"), 12345);
+  assert.equal(hashSeed(12345), 12345);
+  assert.equal(createRng("12345").seed, 12345);
+  assert.notEqual(hashSeed("dragon"), hashSeed("Dragon"));
+});
+
+test("derived seeds are stable and differ per salt", () => {
+  assert.equal(deriveSeed(99, 3), deriveSeed(99, 3));
+  assert.notEqual(deriveSeed(99, 3), deriveSeed(99, 4));
+  assert.notEqual(deriveSeed(99, 3), deriveSeed(98, 3));
+});
@@ -0,0 +1,40 @@
+// Tests for roster.js: party size, bench and swaps.
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { DEFAULT_PARTY_SIZE, getPartySize, formRoster, fitParty, swapReserve } from "../roster.js";
+
+const recruit = (...names) => names.map(name => ({ name }));
+
+test("levels may field their own party size", () => {
+  assert.equal(getPartySize(undefined), DEFAULT_PARTY_SIZE);
+  assert.equal(getPartySize({}), DEFAULT_PARTY_SIZE);
+  assert.equal(getPartySize({ partySize: 4 }), 4);
+});
+
+test("recruits past the party size go to the bench", () => {
+  const { party, bench } = formRoster(recruit("A", "B", "C", "D", "E"), 3);
+  assert.deepEqual(party.map(hero => hero.name), ["A", "B", "C"]);
+  assert.deepEqual(bench.map(hero => hero.name), ["D", "E"]);
+});
+
+test("fitting the party benches fallen heroes first and only fields standing ones", () => {
+  const [a, b, c, d, e] = recruit("A", "B", "C", "D", "E");
+  b.persistentDeath = true;
+  e.persistentDeath = true;
+  const party = [a, b, c];
+  const bench = [e, d];
+  fitParty(party, bench, 2);
+  assert.deepEqual(party, [a, c]);
+  assert.deepEqual(bench, [e, d, b]);
+  fitParty(party, bench, 4);
+  assert.deepEqual(party, [a, c, d]);
+  assert.deepEqual(bench, [e, b]);
+});
+
+test("swaps a party hero with a reserve", () => {
+  const party = recruit("A", "B");
+  const bench = recruit("C");
+  swapReserve(party, bench, 1, 0);
+  assert.deepEqual(party.map(hero => hero.name), ["A", "C"]);
+  assert.deepEqual(bench.map(hero => hero.name), ["B"]);
+});
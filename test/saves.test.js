@@ -0,0 +1,140 @@
+// Tests for saves.js: creating, validating, storing and importing saves.
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import {
+  SAVE_SLOTS, createSave, validateSave, readSave, writeSave, deleteSave, listSaves, exportSave, importSave, createReplayScheduler
+} from "../saves.js";
+import { heroes } from "../heroes.js";
+import { BattleEngine } from "../battleEngine.js";
+import { getLevel } from "../levels.js";
+import { createRng, deriveSeed } from "../rng.js";
+
+// An in-memory stand-in for localStorage.
+function memoryStorage() {
+  const items = new Map();
+  return {
+    getItem: key => (items.has(key) ? items.get(key) : null),
+    setItem: (key, value) => items.set(key, String(value)),
+    removeItem: key => items.delete(key)
+  };
+}
+
+const run = (overrides = {}) => ({
+  phase: "shop",
+  level: 3,
+  runSeed: 1234,
+  party: [{ ...heroes[0] }, { ...heroes[1] }],
+  bench: [],
+  purse: { coins: 7 },
+  modeUpHistory: [],
+  ...overrides
+});
+
+test("a save is a copy of the run", () => {
+  const state = run();
+  const save = createSave(state);
+  state.party[0].hp = 0;
+  state.purse.coins = 0;
+  assert.equal(save.party[0].hp, heroes[0].hp);
+  assert.equal(save.purse.coins, 7);
+  assert.deepEqual(validateSave(save), []);
+});
+
+test("only battle saves keep inputs", () => {
+  assert.equal("inputs" in createSave(run({ inputs: [["moveUnit", 1, 0]] })), false);
+  assert.deepEqual(createSave(run({ phase: "battle" })).inputs, []);
+  assert.deepEqual(createSave(run({ phase: "battle", inputs: [["moveUnit", 1, 0]] })).inputs, [["moveUnit", 1, 0]]);
+});
+
+test("validation reports what keeps a save from being continued", () => {
+  assert.deepEqual(validateSave(null), ["Not a save."]);
+  const save = createSave(run());
+  assert.match(validateSave({ ...save, version: 99 }).join(" "), /Unsupported save version/);
+  assert.match(validateSave({ ...save, phase: "tavern" }).join(" "), /Unknown phase/);
+  assert.match(validateSave({ ...save, party: [{ name: "Nobody" }] }).join(" "), /Unknown hero "Nobody"/);
+  assert.match(validateSave({ ...save, phase: "battle" }).join(" "), /Missing battle inputs/);
+  assert.match(validateSave({ ...save, purse: null }).join(" "), /Missing purse/);
+});
+
+test("slots store, list and erase saves", () => {
+  const storage = memoryStorage();
+  assert.deepEqual(listSaves(storage), Array(SAVE_SLOTS).fill(null));
+  assert.equal(writeSave(1, createSave(run()), storage), true);
+  assert.equal(readSave(1, storage).level, 3);
+  assert.deepEqual(listSaves(storage).map(save => save && save.level), [null, 3, null]);
+  deleteSave(1, storage);
+  assert.equal(readSave(1, storage), null);
+});
+
+test("broken slots read as empty", () => {
+  const storage = memoryStorage();
+  storage.setItem("piosi-save-0", "{not json");
+  storage.setItem("piosi-save-1", JSON.stringify({ version: 1 }));
+  assert.equal(readSave(0, storage), null);
+  assert.equal(readSave(1, storage), null);
+  assert.equal(readSave(0, null), null);
+  assert.equal(writeSave(0, createSave(run()), null), false);
+});
+
+test("exported saves import again, anything else is refused", () => {
+  const save = createSave(run({ phase: "battle", inputs: [["beginAttack"], ["attackInDirection", 0, 1]] }));
+  assert.deepEqual(importSave(exportSave(save)), save);
+  assert.throws(() => importSave("not json"), /not valid JSON/);
+  assert.throws(() => importSave(JSON.stringify({ version: 1 })), /Invalid save/);
+});
+
+// Starts level 1 of a run the way the page does: the engine's pauses go through a replay
+// scheduler, and the level-complete callback saves the run at the shop.
+function startBattle(runSeed, start, storage, pauses) {
+  const rng = createRng(deriveSeed(runSeed, 1));
+  const settings = getLevel(1, { rng });
+  const state = JSON.parse(JSON.stringify(start));
+  let engine = null;
+  const scheduler = createReplayScheduler(callback => pauses.push(callback), () => engine.transitioningLevel);
+  const saveRun = (phase, extra = {}) => {
+    if (scheduler.isReplaying()) return;
+    writeSave(0, createSave({ phase, level: 1, runSeed, modeUpHistory: [], ...state, ...extra }), storage);
+  };
+  engine = new BattleEngine(state.party, settings.enemies, settings.rows, settings.cols, settings.wallHP,
+    () => {}, () => saveRun("shop"), () => {},
+    { rng, levelSettings: settings, purse: state.purse, deploy: true, schedule: scheduler.schedule });
+  const inputs = [];
+  // Mirrors battleInput in index.html.
+  const input = (command, ...args) => {
+    const accepted = !engine.resolvingAction && !engine.transitioningLevel;
+    if (accepted) inputs.push([command, ...args]);
+    if (command === "attackInDirection") engine.attackInDirection(...args, engine.party[engine.currentUnit]);
+    else engine[command](...args);
+    if (accepted) saveRun("battle", { ...start, inputs });
+  };
+  return { engine, scheduler, input };
+}
+
+test("a continued battle whose inputs won the level saves the run at the shop", () => {
+  const storage = memoryStorage();
+  const runSeed = 38;
+  const start = { party: [0, 2, 3].map(index => ({ ...heroes[index] })), bench: [], purse: { coins: 0 } };
+  const commands = [
+    ["moveUnit", 0, 1], ["moveUnit", 1, 0], ["moveUnit", -1, 0], ["moveUnit", 0, -1], ["beginAttack"],
+    ["attackInDirection", 0, 1], ["attackInDirection", 1, 0], ["attackInDirection", 0, -1], ["attackInDirection", -1, 0],
+    ["confirmDeployment"]
+  ];
+
+  // Play until the level is won, then close the page during the level-complete pause.
+  const pauses = [];
+  const live = startBattle(runSeed, start, storage, pauses);
+  const player = createRng(runSeed);
+  for (let i = 0; i < 3000 && !live.engine.transitioningLevel; i++) {
+    live.input(...player.pick(commands));
+    while (pauses.length > 0 && !live.engine.transitioningLevel) pauses.shift()();
+  }
+  assert.equal(live.engine.transitioningLevel, true);
+  const save = readSave(0, storage);
+  assert.equal(save.phase, "battle");
+
+  // Continue: the replay wins the level again and the shop is saved once it is over.
+  const continued = startBattle(runSeed, { party: save.party, bench: save.bench, purse: save.purse }, storage, []);
+  continued.scheduler.replay(save.inputs, continued.input);
+  assert.equal(continued.engine.transitioningLevel, true);
+  assert.equal(readSave(0, storage).phase, "shop");
+});
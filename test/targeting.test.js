@@ -0,0 +1,41 @@
+// Tests for targeting.js: distances, lines and area shapes.
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { getDistance, getLineCells, getAreaCells, getHeroArea, describeArea } from "../targeting.js";
+
+const cells = list => list.map(({ x, y }) => `${x},${y}`).sort();
+
+test("diagonal steps count as one", () => {
+  assert.equal(getDistance({ x: 0, y: 0 }, { x: 3, y: 2 }), 3);
+  assert.equal(getDistance({ x: 2, y: 2 }, { x: 2, y: 2 }), 0);
+});
+
+test("lines run from a cell through another", () => {
+  assert.deepEqual(getLineCells({ x: 0, y: 0 }, { x: 2, y: 2 }), [{ x: 1, y: 1 }, { x: 2, y: 2 }]);
+  assert.deepEqual(getLineCells({ x: 0, y: 0 }, { x: 1, y: 0 }, 3), [{ x: 1, y: 0 }, { x: 2, y: 0 }, { x: 3, y: 0 }]);
+  assert.deepEqual(getLineCells({ x: 1, y: 1 }, { x: 1, y: 1 }), []);
+});
+
+test("heroes without an area hit a single cell", () => {
+  const hero = { x: 0, y: 0, range: 3 };
+  assert.deepEqual(getHeroArea(hero), { shape: "single", radius: 1, length: 3 });
+  assert.deepEqual(getAreaCells(hero, { x: 2, y: 1 }), [{ x: 2, y: 1 }]);
+  assert.equal(describeArea(hero), "Single");
+});
+
+test("a blast covers every cell around the aimed one", () => {
+  const hero = { x: 0, y: 0, range: 5, area: { shape: "blast", radius: 1 } };
+  assert.equal(getAreaCells(hero, { x: 3, y: 3 }).length, 9);
+  assert.equal(describeArea(hero), "Blast (radius 1)");
+});
+
+test("a cone fans out within 45 degrees of the aim", () => {
+  const hero = { x: 2, y: 2, range: 1, area: "cone" };
+  assert.deepEqual(cells(getAreaCells(hero, { x: 3, y: 2 })), ["3,1", "3,2", "3,3"]);
+});
+
+test("a piercing line reaches the hero's range", () => {
+  const hero = { x: 0, y: 0, range: 3, area: "pierce" };
+  assert.deepEqual(cells(getAreaCells(hero, { x: 1, y: 1 })), ["1,1", "2,2", "3,3"]);
+  assert.equal(describeArea(hero), "Pierce (length 3)");
+});